@@ -1,43 +1,151 @@
 // Vercel Serverless Function for Abacus.AI Research Agent
+//
+// Research runs as a background job (lib/jobs) because the agent can take
+// minutes to answer:
+// POST   /api/abacus-research             - submit { query, email }; 202 with the job
+// GET    /api/abacus-research             - this client's recent research jobs
+// GET    /api/abacus-research/:id         - job status, and the result once finished
+// GET    /api/abacus-research/:id/events  - the same as server-sent `job` events
+// DELETE /api/abacus-research/:id         - cancel a queued or running job
+// Finished research is cached per query and email (lib/cache), so repeating a
+// query completes its job at once; submit with `no_cache: true` to run it again.
 const fetch = require('node-fetch');
+const { checkAccess, corsOrigin } = require('../lib/access');
+const { researchConfigured, searchResearchPapers } = require('../lib/abacus');
+const { jobStoreError, startJob, getJob, listJobs, cancelJob, publicJob, isFinished } = require('../lib/jobs');
+const { createEventStream } = require('../lib/sse');
+const { cached, wantsNoCache } = require('../lib/cache');
+
+const DEFAULT_JOB_TIMEOUT_MS = 10 * 60 * 1000;
+const EVENTS_POLL_MS = 1000;
+// Event streams end after this long; clients reconnect if the job is still running
+const DEFAULT_EVENTS_MAX_MS = 55000;
+const LIST_LIMIT = 20;
+
+function sendJson(req, res, status, payload) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.status(status).json(payload);
+}
+
+async function runResearch({ input, signal, progress }) {
+  const timeoutMs = parseInt(process.env.RESEARCH_JOB_TIMEOUT_MS) || DEFAULT_JOB_TIMEOUT_MS;
+  const { value: researchPapers, cache } = await cached('research', {
+    query: input.query,
+    params: { email: input.email },
+    bypass: input.no_cache
+  }, () => {
+    progress('searching', 'The research agent is looking for papers');
+    return searchResearchPapers(fetch, input.query, { email: input.email, signal, timeoutMs });
+  });
+  return { research_papers: researchPapers, cache };
+}
+
+// Send `job` events whenever the job changes until it finishes, the client
+// leaves or the stream has been open for JOB_EVENTS_MAX_MS
+async function streamJob(req, res, jobId) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+  res.flushHeaders();
+
+  const stream = createEventStream((text) => {
+    res.write(text);
+    res.flush && res.flush();
+  });
+  req.on('close', () => stream.close());
+
+  const deadline = Date.now() + (parseInt(process.env.JOB_EVENTS_MAX_MS) || DEFAULT_EVENTS_MAX_MS);
+  let lastUpdate = null;
+
+  try {
+    while (!stream.closed) {
+      const job = await getJob(jobId);
+      if (job.updated_at !== lastUpdate) {
+        lastUpdate = job.updated_at;
+        stream.send('job', publicJob(job));
+      }
+      if (isFinished(job) || Date.now() >= deadline) break;
+      await new Promise(resolve => setTimeout(resolve, EVENTS_POLL_MS));
+    }
+    await stream.end();
+  } catch (error) {
+    console.error("Job event stream failed:", error.message);
+    await stream.fail(error.message);
+  }
+  res.end();
+}
 
 module.exports = async (req, res) => {
   // Log function invocation
   console.log("Abacus.AI Research Agent called:", new Date().toISOString());
-  
+
   // Handle CORS for preflight requests
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Max-Age', '86400');
     res.status(204).end();
     return;
   }
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Allow', 'POST');
-    res.status(405).json({ error: 'Method Not Allowed' });
-    return;
-  }
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res);
+  if (!access) return;
 
   try {
-    // Get ALL needed API credentials from environment variables
-    const DEPLOYMENT_TOKEN = process.env.ABACUS_DEPLOYMENT_TOKEN;
-    const DEPLOYMENT_ID = process.env.ABACUS_DEPLOYMENT_ID;
-    const ABACUS_API_KEY = process.env.ABACUS_API_KEY; // Added this for Python agent
-    
-    console.log("Environment check: ABACUS_DEPLOYMENT_TOKEN exists?", !!DEPLOYMENT_TOKEN);
-    console.log("Environment check: ABACUS_DEPLOYMENT_ID exists?", !!DEPLOYMENT_ID);
-    console.log("Environment check: ABACUS_API_KEY exists?", !!ABACUS_API_KEY);
-    
-    if (!DEPLOYMENT_TOKEN || !DEPLOYMENT_ID) {
+    const { id: jobId, resource } = req.query || {};
+    const clientId = access.client.id;
+
+    // Single job: /api/abacus-research/:id
+    if (jobId) {
+      const job = await getJob(jobId);
+      // Other clients' jobs are reported as missing
+      if (!job || job.type !== 'research' || job.client_id !== clientId) {
+        sendJson(req, res, 404, { error: 'Research job not found' });
+        return;
+      }
+
+      if (req.method === 'GET' && resource === 'events') {
+        await streamJob(req, res, jobId);
+      } else if (req.method === 'GET') {
+        sendJson(req, res, 200, publicJob(job));
+      } else if (req.method === 'DELETE') {
+        const cancelled = await cancelJob(jobId);
+        console.log(`Research job ${jobId}: cancel requested, now ${cancelled.status}`);
+        sendJson(req, res, 200, publicJob(cancelled));
+      } else {
+        res.setHeader('Allow', 'GET, DELETE');
+        sendJson(req, res, 405, { error: 'Method Not Allowed' });
+      }
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const jobs = await listJobs({ type: 'research', client_id: clientId, limit: LIST_LIMIT });
+      sendJson(req, res, 200, { jobs: jobs.map(publicJob) });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      sendJson(req, res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+
+    // Check the API credentials in the environment variables
+    console.log("Environment check: ABACUS_DEPLOYMENT_TOKEN exists?", !!process.env.ABACUS_DEPLOYMENT_TOKEN);
+    console.log("Environment check: ABACUS_DEPLOYMENT_ID exists?", !!process.env.ABACUS_DEPLOYMENT_ID);
+    console.log("Environment check: ABACUS_API_KEY exists?", !!process.env.ABACUS_API_KEY); // Used by the Python agent
+
+    if (!researchConfigured()) {
       console.error("ERROR: Abacus.AI credentials are missing in environment variables");
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(500).json({
         error: 'Abacus.AI credentials not configured',
         message: 'Please set ABACUS_DEPLOYMENT_TOKEN, ABACUS_DEPLOYMENT_ID, and ABACUS_API_KEY in your Vercel environment variables'
@@ -52,7 +160,7 @@ module.exports = async (req, res) => {
     } catch (parseError) {
       console.error("Failed to parse request body:", parseError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(400).json({
         error: 'Invalid JSON in request body',
         message: parseError.message
@@ -61,117 +169,46 @@ module.exports = async (req, res) => {
     }
 
     // Validate the query parameter
-    if (!requestBody.query) {
+    if (!requestBody || typeof requestBody.query !== 'string' || !requestBody.query.trim()) {
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(400).json({ error: 'Missing required parameter: query' });
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Missing required parameter: query (a non-empty string)' });
+      return;
+    }
+    if (requestBody.email !== undefined && requestBody.email !== null && typeof requestBody.email !== 'string') {
+      sendJson(req, res, 400, { error: 'email must be a string' });
+      return;
+    }
+
+    const storeError = jobStoreError();
+    if (storeError) {
+      sendJson(req, res, 503, { error: 'Service Unavailable', message: storeError });
       return;
     }
 
     const query = requestBody.query;
     const email = requestBody.email || null;
-    
+
     console.log(`Research query: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`);
     console.log(`Email provided: ${email ? 'Yes' : 'No'}`);
 
-    try {
-      // Use Abacus.AI API client directly for simplicity
-      const abacusAPIUrl = "https://api.abacus.ai/api";
-      
-      // Prepare the keyword arguments
-      const keywordArgs = {
-        subject: query,
-        // Pass the API key as a parameter to the agent
-        api_key: ABACUS_API_KEY
-      };
-      
-      if (email) {
-        keywordArgs.email = email;
-      }
-      
-      const payload = {
-        deployment_token: DEPLOYMENT_TOKEN,
-        deployment_id: DEPLOYMENT_ID,
-        keyword_arguments: keywordArgs
-      };
-      
-      console.log("Sending request to Abacus.AI API...");
-      
-      // Set a timeout for the request
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 180000); // 3 minute timeout
-      
-      // Make the API call to Abacus.AI
-      const response = await fetch(`${abacusAPIUrl}/agents/execute`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-      
-      // Clear the timeout
-      clearTimeout(timeoutId);
-      
-      // Check if response is ok
-      if (!response.ok) {
-        let errorText = await response.text();
-        console.error(`Abacus.AI API error (${response.status}): ${errorText}`);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.status(response.status).json({ 
-          error: `Abacus.AI API Error: ${response.statusText}`, 
-          details: errorText
-        });
-        return;
-      }
-      
-      // Parse the response data
-      const data = await response.json();
-      console.log("Abacus.AI API response received successfully");
-      
-      // Format the research papers data for the chatbot
-      const researchPapers = data.research_papers || "No research papers found.";
-      
-      // Return processed response
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-      res.status(200).json({ 
-        research_papers: researchPapers,
-        success: true
-      });
-      
-    } catch (fetchError) {
-      // Check if this is an abort error (timeout)
-      if (fetchError.name === 'AbortError') {
-        console.error("Request timed out after 3 minutes");
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.status(504).json({ 
-          error: 'Gateway Timeout', 
-          message: 'The research agent request took too long to complete (>3 minutes). Try a more specific research query.'
-        });
-        return;
-      }
-      
-      // Handle other fetch errors
-      console.error("Fetch error:", fetchError);
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(500).json({ 
-        error: 'Request Failed', 
-        message: fetchError.message
-      });
-    }
+    const job = await startJob({
+      type: 'research',
+      input: { query, email, no_cache: wantsNoCache(req, requestBody) },
+      clientId,
+      timeoutMs: parseInt(process.env.RESEARCH_JOB_TIMEOUT_MS) || DEFAULT_JOB_TIMEOUT_MS,
+      run: runResearch
+    });
+    console.log(`Research job ${job.id} submitted`);
+
+    res.setHeader('Location', `/api/abacus-research/${job.id}`);
+    sendJson(req, res, 202, publicJob(job));
   } catch (error) {
     console.error('Function error:', error.message, error.stack);
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.status(500).json({ 
-      error: 'Internal Server Error', 
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.status(500).json({
+      error: 'Internal Server Error',
       message: error.message
     });
   }
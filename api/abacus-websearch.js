@@ -1,48 +1,43 @@
-// Vercel Serverless Function for Abacus.AI Web Search Agent
-const fetch = require('node-fetch');
+// Vercel Serverless Function for web search
+//
+// Runs the query on the configured search backend (Abacus.AI, Perplexity or
+// the local fixtures; see lib/websearch) and returns numbered results plus a
+// prompt-ready `search_results` text that answers can cite as [n].
+// Results are cached per backend, query and limit (lib/cache); send
+// `no_cache: true` to search again.
+const { checkAccess, corsOrigin } = require('../lib/access');
+const { getSearchBackend, searchWeb, formatResults } = require('../lib/websearch');
+const { cached, wantsNoCache } = require('../lib/cache');
 
 module.exports = async (req, res) => {
   // Log function invocation
-  console.log("Abacus.AI Web Search Agent called:", new Date().toISOString());
+  console.log("Web search called:", new Date().toISOString());
   
   // Handle CORS for preflight requests
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Max-Age', '86400');
     res.status(204).end();
     return;
   }
 
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res);
+  if (!access) return;
+
   // Only allow POST requests
   if (req.method !== 'POST') {
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.setHeader('Allow', 'POST');
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
   }
 
   try {
-    // Get ALL needed API credentials from environment variables
-    const DEPLOYMENT_TOKEN = process.env.ABACUS_WEBSEARCH_TOKEN;
-    const DEPLOYMENT_ID = process.env.ABACUS_WEBSEARCH_ID;
-    
-    console.log("Environment check: ABACUS_WEBSEARCH_TOKEN exists?", !!DEPLOYMENT_TOKEN);
-    console.log("Environment check: ABACUS_WEBSEARCH_ID exists?", !!DEPLOYMENT_ID);
-    
-    if (!DEPLOYMENT_TOKEN || !DEPLOYMENT_ID) {
-      console.error("ERROR: Abacus.AI Web Search credentials are missing in environment variables");
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(500).json({
-        error: 'Abacus.AI Web Search credentials not configured',
-        message: 'Please set ABACUS_WEBSEARCH_TOKEN and ABACUS_WEBSEARCH_ID in your Vercel environment variables'
-      });
-      return;
-    }
-
     // Parse request body
     let requestBody;
     try {
@@ -50,7 +45,7 @@ module.exports = async (req, res) => {
     } catch (parseError) {
       console.error("Failed to parse request body:", parseError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(400).json({
         error: 'Invalid JSON in request body',
         message: parseError.message
@@ -59,75 +54,58 @@ module.exports = async (req, res) => {
     }
 
     // Validate the query parameter
-    if (!requestBody.query) {
+    if (!requestBody || typeof requestBody.query !== 'string' || !requestBody.query.trim()) {
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(400).json({ error: 'Missing required parameter: query' });
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Missing required parameter: query (a non-empty string)' });
+      return;
+    }
+
+    // Pick the backend: the request may name one, otherwise WEBSEARCH_BACKEND or the first configured
+    let backend;
+    try {
+      backend = getSearchBackend(requestBody.backend);
+    } catch (backendError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Bad Request', message: backendError.message });
+      return;
+    }
+    
+    if (!backend || !backend.configured()) {
+      console.error("ERROR: No web search backend is configured");
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(500).json({
+        error: 'Web search not configured',
+        message: 'Please set ABACUS_WEBSEARCH_TOKEN and ABACUS_WEBSEARCH_ID, PERPLEXITY_API_KEY, or WEBSEARCH_BACKEND=fixture in your Vercel environment variables'
+      });
       return;
     }
 
     const query = requestBody.query;
     
-    console.log(`Web search query: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`);
+    console.log(`Web search query (${backend.name}): "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`);
 
     try {
-      // Use Abacus.AI API endpoint for deployments
-      const abacusAPIUrl = "https://api.abacus.ai/api/v0/deployment/predict";
-      
-      const payload = {
-        deploymentId: DEPLOYMENT_ID,
-        input: {
-          query: query
-        }
-      };
-      
-      console.log("Sending request to Abacus.AI Web Search API...");
-      
-      // Set a timeout for the request
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-      
-      // Make the API call to Abacus.AI
-      const response = await fetch(abacusAPIUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${DEPLOYMENT_TOKEN}`
-        },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-      
-      // Clear the timeout
-      clearTimeout(timeoutId);
-      
-      // Check if response is ok
-      if (!response.ok) {
-        let errorText = await response.text();
-        console.error(`Abacus.AI API error (${response.status}): ${errorText}`);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.status(response.status).json({ 
-          error: `Abacus.AI API Error: ${response.statusText}`, 
-          details: errorText
-        });
-        return;
-      }
-      
-      // Parse the response data
-      const data = await response.json();
-      console.log("Abacus.AI Web Search API response received successfully");
-      
-      // Format the search results
-      const searchResults = data.output?.search_output || "No search results found.";
+      // Shared with the chat proxy's web_search tool (30 second timeout)
+      const { value: search, cache } = await cached('websearch', {
+        query,
+        params: { backend: backend.name, limit: parseInt(requestBody.limit) || null },
+        bypass: wantsNoCache(req, requestBody)
+      }, () => searchWeb(query, { backend: backend.name, limit: requestBody.limit }));
+      console.log(`Web search returned ${search.results.length} results from ${search.backend} (cache ${cache.status})`);
       
       // Return processed response
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.setHeader('X-Cache', cache.status.toUpperCase());
       res.status(200).json({ 
-        search_results: searchResults,
+        search_results: formatResults(search.results),
+        results: search.results,
+        backend: search.backend,
+        cache,
         success: true
       });
       
@@ -136,7 +114,7 @@ module.exports = async (req, res) => {
       if (fetchError.name === 'AbortError') {
         console.error("Request timed out after 30 seconds");
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
         res.status(504).json({ 
           error: 'Gateway Timeout', 
           message: 'The web search request took too long to complete (>30 seconds). Try a more specific search query.'
@@ -144,10 +122,21 @@ module.exports = async (req, res) => {
         return;
       }
       
+      // The search backend answered with an error status
+      if (fetchError.status) {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+        res.status(fetchError.status).json({ 
+          error: fetchError.message, 
+          details: fetchError.details
+        });
+        return;
+      }
+      
       // Handle other fetch errors
       console.error("Fetch error:", fetchError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(500).json({ 
         error: 'Request Failed', 
         message: fetchError.message
@@ -156,7 +145,7 @@ module.exports = async (req, res) => {
   } catch (error) {
     console.error('Function error:', error.message, error.stack);
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.status(500).json({ 
       error: 'Internal Server Error', 
       message: error.message
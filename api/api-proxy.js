@@ -1,5 +1,17 @@
-// Vercel Serverless Function for Fireworks.ai API Proxy
+// Vercel Serverless Function for chat completion API Proxy
 const fetch = require('node-fetch');
+const { resolveProvider, getApiKey, buildChatRequest, adaptChatResponse } = require('../lib/providers');
+const { parseChainOfDraft, resolveWordLimit, shouldParseDrafts } = require('../lib/cod');
+const { createEventStream } = require('../lib/sse');
+const { streamChatCompletion } = require('../lib/chat-stream');
+const { validateReasoning, applyReasoning } = require('../lib/reasoning');
+const { validateGenerationParams } = require('../lib/generation');
+const { validateMessages, validateContextOptions, fitToContext, createSummarizer } = require('../lib/context');
+const { validateModel, clampMaxTokens } = require('../lib/models');
+const { validateFallbackModels, fetchWithFallback, describeAttempts } = require('../lib/retry');
+const { checkAccess, corsOrigin, recordTokenUsage } = require('../lib/access');
+const { buildUsageEntry, recordUsage } = require('../lib/usage');
+const { validateThreadFields, resetThread, recordExchange } = require('../lib/conversations');
 
 module.exports = async (req, res) => {
   // Log function invocation to help with debugging
@@ -7,18 +19,23 @@ module.exports = async (req, res) => {
   
   // Handle CORS for preflight requests
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Max-Age', '86400');
     res.status(204).end();
     return;
   }
 
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res, { llm: true });
+  if (!access) return;
+
   // Only allow POST requests
   if (req.method !== 'POST') {
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.setHeader('Allow', 'POST');
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
@@ -28,22 +45,6 @@ module.exports = async (req, res) => {
   let responseSent = false;
 
   try {
-    // Get API key from environment variable - add debug logging
-    const apiKey = process.env.FIREWORKS_API_KEY;
-    console.log("Environment check: FIREWORKS_API_KEY exists?", !!apiKey);
-    
-    if (!apiKey) {
-      console.error("ERROR: Fireworks API key is missing in environment variables");
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(500).json({
-        error: 'API key not configured',
-        message: 'Please set FIREWORKS_API_KEY in your Vercel environment variables'
-      });
-      responseSent = true;
-      return;
-    }
-
     // Parse request body
     let requestBody;
     try {
@@ -51,7 +52,7 @@ module.exports = async (req, res) => {
     } catch (parseError) {
       console.error("Failed to parse request body:", parseError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(400).json({
         error: 'Invalid JSON in request body',
         message: parseError.message
@@ -64,17 +65,43 @@ module.exports = async (req, res) => {
     const modelName = requestBody.model || 'not specified';
     console.log(`Model requested: ${modelName}`);
     
-    // Add timing metrics for monitoring CoD vs CoT performance
-    let reasoningMethod = 'Standard';
-    if (requestBody.messages && requestBody.messages[0] && requestBody.messages[0].content) {
-      const systemPrompt = requestBody.messages[0].content;
-      if (systemPrompt.includes('Chain of Draft')) {
-        reasoningMethod = 'CoD';
-      } else if (systemPrompt.includes('Chain of Thought')) {
-        reasoningMethod = 'CoT';
-      }
+    // Resolve the upstream provider and its API key from the model name - add debug logging
+    const provider = resolveProvider(requestBody.model);
+    const apiKey = getApiKey(provider);
+    console.log(`Provider: ${provider.name}, environment check: ${provider.apiKeyEnv} exists?`, !!apiKey);
+    
+    if (provider.requiresApiKey && !apiKey) {
+      console.error(`ERROR: ${provider.label} API key is missing in environment variables`);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(500).json({
+        error: 'API key not configured',
+        message: `Please set ${provider.apiKeyEnv} in your Vercel environment variables`
+      });
+      responseSent = true;
+      return;
     }
     
+    // Validate the model against the catalog, then build the system prompt from the reasoning method
+    const validationError = validateModel(requestBody.model, { stream: requestBody.stream === true })
+      || validateReasoning(requestBody.reasoning)
+      || validateGenerationParams(requestBody, { model: requestBody.model, stream: requestBody.stream === true })
+      || validateMessages(requestBody.messages)
+      || validateContextOptions(requestBody.context)
+      || validateFallbackModels(requestBody.fallback_models)
+      || validateThreadFields(requestBody);
+    if (validationError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Bad Request', message: validationError });
+      responseSent = true;
+      return;
+    }
+    
+    // Add timing metrics for monitoring CoD vs CoT performance
+    const reasoning = applyReasoning(requestBody);
+    const reasoningMethod = reasoning.label;
+    
     console.log(`Using reasoning method: ${reasoningMethod}`);
     console.log(`Request complexity: ${JSON.stringify({
       messages_count: requestBody.messages ? requestBody.messages.length : 0,
@@ -85,17 +112,110 @@ module.exports = async (req, res) => {
     const isStreaming = requestBody.stream === true;
     console.log(`Stream mode: ${isStreaming ? 'enabled' : 'disabled'}`);
     
-    // Validate max_tokens (Fireworks models accept different limits based on model)
-    const originalMaxTokens = requestBody.max_tokens || 4096;
-    const validatedMaxTokens = Math.min(Math.max(1, originalMaxTokens), 8192);
+    // Only threads named by the client are persisted
+    const threadId = requestBody.threadId || requestBody.user || null;
+    if (threadId && req.query && req.query.reset === 'true') {
+      console.log("Handling context reset request for thread:", threadId);
+      try {
+        await resetThread(threadId, access.client.id);
+      } catch (storeError) {
+        console.error("Failed to reset thread:", storeError.message);
+      }
+    }
     
-    if (originalMaxTokens !== validatedMaxTokens) {
+    // Clamp max_tokens to the model's output limit from the catalog
+    const originalMaxTokens = requestBody.max_tokens;
+    const validatedMaxTokens = clampMaxTokens(requestBody.model, requestBody.max_tokens);
+    
+    if (originalMaxTokens && originalMaxTokens !== validatedMaxTokens) {
       console.log(`Adjusted max_tokens from ${originalMaxTokens} to ${validatedMaxTokens} to meet API requirements`);
     }
     
+    // Trim older turns so the prompt fits the model's context window
+    let fitted;
+    try {
+      fitted = await fitToContext(reasoning.body.messages || [], {
+        model: requestBody.model,
+        maxTokens: validatedMaxTokens,
+        options: requestBody.context,
+        summarize: createSummarizer(fetch, provider, apiKey, requestBody.model)
+      });
+    } catch (contextError) {
+      console.error("Context window exceeded:", contextError.message);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(contextError.status || 500).json({ error: 'Context Length Exceeded', message: contextError.message });
+      responseSent = true;
+      return;
+    }
+    
+    if (fitted.stats.pruned_messages > 0) {
+      console.log(`Pruned ${fitted.stats.pruned_messages} messages (~${fitted.stats.pruned_tokens} tokens) using ${fitted.stats.policy}`);
+    }
+    
     const startTime = Date.now();
     
-    // Forward the request to Fireworks.ai with timeout
+    // Usage record fields shared by the streaming and JSON paths
+    const usageFields = {
+      endpoint: 'api-proxy',
+      stream: isStreaming,
+      reasoningMethod,
+      wordLimit: resolveWordLimit(reasoning.body),
+      threadId,
+      clientId: access.client.id,
+      promptEstimate: fitted.stats.prompt_tokens_estimate
+    };
+    
+    // Streams use the same typed event protocol as /api/streaming; see lib/sse.js
+    if (isStreaming) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      responseSent = true;
+      
+      const stream = createEventStream(text => res.write(text));
+      const streamController = new AbortController();
+      req.on('close', () => {
+        streamController.abort();
+        stream.close();
+      });
+      
+      await streamChatCompletion(stream, {
+        fetchImpl: fetch,
+        model: requestBody.model,
+        fallbackModels: requestBody.fallback_models,
+        requestBody: { ...reasoning.body, messages: fitted.messages, max_tokens: validatedMaxTokens },
+        fitted,
+        reasoning,
+        wordLimit: usageFields.wordLimit,
+        usageFields,
+        access,
+        signal: streamController.signal,
+        onComplete: async ({ content, usageEntry, upstream }) => {
+          res.end();
+          
+          // Append this exchange to the stored thread
+          if (usageFields.threadId && content) {
+            try {
+              await recordExchange(usageFields.threadId, requestBody.messages, content, { model: upstream.model, reasoning_method: reasoningMethod }, access.client.id);
+            } catch (storeError) {
+              console.error("Failed to persist exchange:", storeError.message);
+            }
+          }
+          await recordUsage(usageEntry);
+        },
+        // Failed or abandoned streams still cost the tokens sent so far
+        onIncomplete: async ({ usageEntry }) => {
+          res.end();
+          await recordUsage(usageEntry);
+        }
+      });
+      if (!res.writableEnded) res.end();
+      return;
+    }
+    
+    // Forward the request to the provider with timeout
     const controller = new AbortController();
     const timeoutId = setTimeout(() => {
       controller.abort();
@@ -103,25 +223,29 @@ module.exports = async (req, res) => {
     }, 120000); // 120 seconds timeout (Vercel's maximum)
     
     try {
-      const response = await fetch('https://api.fireworks.ai/inference/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          ...requestBody,
-          max_tokens: validatedMaxTokens
-        }),
-        signal: controller.signal
+      // Retry 429/5xx along the model's fallback chain
+      const upstreamResult = await fetchWithFallback(fetch, {
+        model: requestBody.model,
+        fallbackModels: requestBody.fallback_models,
+        signal: controller.signal,
+        buildRequest: (model, modelProvider, modelApiKey) => buildChatRequest(modelProvider, {
+          ...reasoning.body,
+          model,
+          messages: fitted.messages,
+          max_tokens: clampMaxTokens(model, validatedMaxTokens)
+        }, modelApiKey)
       });
+      const response = upstreamResult.response;
+      const upstream = describeAttempts(upstreamResult, requestBody.model);
+      usageFields.model = upstream.model;
+      usageFields.provider = upstream.provider;
       
       // Clear the timeout
       clearTimeout(timeoutId);
       
       const endTime = Date.now();
       const responseTime = endTime - startTime;
-      console.log(`Fireworks API response status: ${response.status}, time: ${responseTime}ms, method: ${reasoningMethod}`);
+      console.log(`${upstreamResult.provider.label} API response status: ${response.status}, time: ${responseTime}ms, method: ${reasoningMethod}, model: ${upstream.model}, attempts: ${upstream.attempt_count}`);
       
       // Check if response is ok
       if (!response.ok) {
@@ -136,55 +260,63 @@ module.exports = async (req, res) => {
         }
         
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
         res.status(response.status).json({ 
           error: `API Error: ${response.statusText}`, 
-          details: errorDetails
+          details: errorDetails,
+          upstream
         });
         responseSent = true;
         return;
       }
       
-      // Handle streaming response - use Node.js pipe instead of getReader
-      if (isStreaming) {
-        // Set appropriate headers for streaming
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        
-        // Use pipe for Node.js environment
-        response.body.pipe(res);
-        responseSent = true;
-        
-        // Handle stream completion
-        response.body.on('end', () => {
-          console.log('Stream ended');
-        });
-        
-        // Handle stream errors
-        response.body.on('error', (streamError) => {
-          console.error('Error while streaming:', streamError);
-          // Can't write headers/body after pipe has started
-        });
-        
-        return;
-      }
+      const wordLimit = resolveWordLimit(reasoning.body);
       
       // For non-streaming responses, parse as JSON and return normally
-      const data = await response.json();
+      // `model` in the reply is the model that actually answered
+      const data = adaptChatResponse(upstreamResult.provider, await response.json(), upstream.model);
       
       // Add performance metrics to response
       if (data && !data.error) {
         data.performance = {
           response_time_ms: responseTime,
-          reasoning_method: reasoningMethod
+          reasoning_method: reasoningMethod,
+          word_limit: reasoning.wordLimit,
+          provider: upstream.provider,
+          model: upstream.model,
+          attempts: upstream.attempt_count,
+          fallback_used: upstream.fallback_used
         };
+        data.context = fitted.stats;
+        data.upstream = upstream;
+      }
+      
+      // Add Chain-of-Draft compliance metrics next to performance
+      const replyContent = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (data && !data.error && shouldParseDrafts(wordLimit, replyContent)) {
+        data.cod = parseChainOfDraft(replyContent, wordLimit);
+      }
+      
+      // Record tokens and cost and charge the client's token budget
+      const usageEntry = buildUsageEntry({ ...usageFields, latencyMs: responseTime, usage: data.usage, replyContent });
+      recordTokenUsage(access, usageEntry.total_tokens);
+      await recordUsage(usageEntry);
+      if (data.performance) {
+        data.performance.estimated_cost_usd = usageEntry.cost_usd;
+      }
+      
+      // Append this exchange to the stored thread
+      if (usageFields.threadId && replyContent) {
+        try {
+          await recordExchange(usageFields.threadId, requestBody.messages, replyContent, { model: upstream.model, reasoning_method: reasoningMethod }, access.client.id);
+        } catch (storeError) {
+          console.error("Failed to persist exchange:", storeError.message);
+        }
       }
       
-      // Return the response from Fireworks.ai
+      // Return the response from the provider
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
       res.status(200).json(data);
       responseSent = true;
@@ -203,7 +335,7 @@ module.exports = async (req, res) => {
       // Check if this is an abort error (timeout)
       if (fetchError.name === 'AbortError') {
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
         res.status(504).json({ 
           error: 'Gateway Timeout', 
           message: 'The request to the LLM API took too long to complete (>120 seconds). Try reducing complexity or using fewer tokens.'
@@ -214,7 +346,7 @@ module.exports = async (req, res) => {
       // Handle other fetch errors
       console.error("Fetch error:", fetchError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(500).json({ 
         error: 'Request Failed', 
         message: fetchError.message
@@ -229,7 +361,7 @@ module.exports = async (req, res) => {
     
     console.error('Function error:', error.message, error.stack);
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.status(500).json({ 
       error: 'Internal Server Error', 
       message: error.message
@@ -0,0 +1,206 @@
+// Vercel Serverless Function for reasoning-method benchmarks
+//
+// Benchmarks run as background jobs (lib/jobs), like research:
+// POST   /api/benchmark      - submit a dataset and methods; 202 with the job
+// GET    /api/benchmark      - this client's recent benchmark jobs
+// GET    /api/benchmark/:id  - job status, and the report once finished
+// DELETE /api/benchmark/:id  - cancel a queued or running benchmark
+// The body takes `dataset` (GSM8K-style JSONL text) or `items` (an array of
+// { question, answer }), plus optional methods, model, upstream ("live" or
+// "mock"), concurrency, limit, temperature and max_tokens. See lib/benchmark.
+const fetch = require('node-fetch');
+const { checkAccess, corsOrigin, recordTokenUsage } = require('../lib/access');
+const { buildUsageEntry, recordUsage } = require('../lib/usage');
+const { jobStoreError, startJob, getJob, listJobs, cancelJob, publicJob } = require('../lib/jobs');
+const { clampMaxTokens } = require('../lib/models');
+const { DEFAULT_METHODS, parseDataset, normalizeItems, parseMethod, defaultModel, validateOptions, runBenchmark } = require('../lib/benchmark');
+
+const DEFAULT_JOB_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ITEMS = 200;
+const DEFAULT_MAX_CONCURRENCY = 8;
+// Job progress is written at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+const LIST_LIMIT = 20;
+
+function sendJson(req, res, status, payload) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.status(status).json(payload);
+}
+
+// Items from the request body; throws errors with status 400
+function readItems(requestBody) {
+  if (typeof requestBody.dataset === 'string') return parseDataset(requestBody.dataset);
+  if (Array.isArray(requestBody.items)) return normalizeItems(requestBody.items);
+  const error = new Error('Missing required parameter: dataset (JSONL text) or items (array of { question, answer })');
+  error.status = 400;
+  throw error;
+}
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("Benchmark API called:", new Date().toISOString());
+
+  // Handle CORS for preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return;
+  }
+
+  // Check client credentials, origin allowlist and rate limits; submitting a
+  // run spends LLM tokens, so it also needs room in the token budget
+  const access = await checkAccess(req, res, { llm: req.method === 'POST' });
+  if (!access) return;
+
+  try {
+    const { id: jobId } = req.query || {};
+    const clientId = access.client.id;
+
+    // Single job: /api/benchmark/:id
+    if (jobId) {
+      const job = await getJob(jobId);
+      // Other clients' jobs are reported as missing
+      if (!job || job.type !== 'benchmark' || job.client_id !== clientId) {
+        sendJson(req, res, 404, { error: 'Benchmark job not found' });
+        return;
+      }
+
+      if (req.method === 'GET') {
+        sendJson(req, res, 200, publicJob(job));
+      } else if (req.method === 'DELETE') {
+        const cancelled = await cancelJob(jobId);
+        console.log(`Benchmark job ${jobId}: cancel requested, now ${cancelled.status}`);
+        sendJson(req, res, 200, publicJob(cancelled));
+      } else {
+        res.setHeader('Allow', 'GET, DELETE');
+        sendJson(req, res, 405, { error: 'Method Not Allowed' });
+      }
+      return;
+    }
+
+    if (req.method === 'GET') {
+      const jobs = await listJobs({ type: 'benchmark', client_id: clientId, limit: LIST_LIMIT });
+      sendJson(req, res, 200, { jobs: jobs.map(publicJob) });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      sendJson(req, res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({
+        error: 'Invalid JSON in request body',
+        message: parseError.message
+      });
+      return;
+    }
+
+    if (!requestBody || typeof requestBody !== 'object') {
+      sendJson(req, res, 400, { error: 'Missing request body' });
+      return;
+    }
+
+    const validationError = validateOptions(requestBody);
+    if (validationError) {
+      sendJson(req, res, 400, { error: validationError });
+      return;
+    }
+
+    let items;
+    let methods;
+    try {
+      items = readItems(requestBody);
+      methods = (requestBody.methods || DEFAULT_METHODS).map(parseMethod);
+    } catch (error) {
+      sendJson(req, res, error.status || 400, { error: error.message });
+      return;
+    }
+
+    if (requestBody.limit) items = items.slice(0, parseInt(requestBody.limit));
+    const maxItems = parseInt(process.env.BENCHMARK_MAX_ITEMS) || DEFAULT_MAX_ITEMS;
+    if (items.length === 0 || items.length > maxItems) {
+      sendJson(req, res, 400, { error: `A benchmark needs between 1 and ${maxItems} items; got ${items.length}. Use limit to run a subset.` });
+      return;
+    }
+
+    const storeError = jobStoreError();
+    if (storeError) {
+      sendJson(req, res, 503, { error: 'Service Unavailable', message: storeError });
+      return;
+    }
+
+    const maxConcurrency = parseInt(process.env.BENCHMARK_MAX_CONCURRENCY) || DEFAULT_MAX_CONCURRENCY;
+    const model = requestBody.model || defaultModel();
+    const input = {
+      model,
+      methods: methods.map(method => method.label),
+      upstream: requestBody.upstream || 'live',
+      concurrency: Math.min(parseInt(requestBody.concurrency) || 4, maxConcurrency),
+      temperature: requestBody.temperature,
+      // Unset keeps the benchmark's own default
+      max_tokens: requestBody.max_tokens ? clampMaxTokens(model, requestBody.max_tokens) : undefined,
+      item_count: items.length
+    };
+
+    console.log(`Benchmark: ${items.length} items x ${input.methods.join(', ')} (${input.upstream})`);
+
+    // The items stay out of the job record; the report lists them
+    let lastProgress = 0;
+    const job = await startJob({
+      type: 'benchmark',
+      input,
+      clientId,
+      timeoutMs: parseInt(process.env.BENCHMARK_JOB_TIMEOUT_MS) || DEFAULT_JOB_TIMEOUT_MS,
+      run: ({ signal, progress }) => runBenchmark({
+        items,
+        methods,
+        model: input.model,
+        upstream: input.upstream,
+        concurrency: input.concurrency,
+        temperature: input.temperature,
+        maxTokens: input.max_tokens,
+        fetchImpl: fetch,
+        signal,
+        onProgress: (done, total) => {
+          if (done < total && Date.now() - lastProgress < PROGRESS_INTERVAL_MS) return;
+          lastProgress = Date.now();
+          progress('running', `${done}/${total} requests answered`);
+        },
+        // Live requests count against the client's token budget and usage like chat completions
+        onUsage: (call) => {
+          const usageEntry = buildUsageEntry({ ...call, endpoint: 'benchmark', clientId });
+          recordTokenUsage(access, usageEntry.total_tokens);
+          recordUsage(usageEntry);
+        }
+      })
+    });
+    console.log(`Benchmark job ${job.id} submitted`);
+
+    res.setHeader('Location', `/api/benchmark/${job.id}`);
+    sendJson(req, res, 202, publicJob(job));
+  } catch (error) {
+    console.error('Function error:', error.message, error.stack);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,57 @@
+// Vercel Serverless Function serving the model capability catalog
+const { listModels } = require('../lib/models');
+const { PROVIDERS, getApiKey } = require('../lib/providers');
+const { checkAccess, corsOrigin } = require('../lib/access');
+const { listReasoningMethods } = require('../lib/reasoning');
+const { parameterBounds } = require('../lib/generation');
+
+const DEFAULT_MODEL = 'accounts/fireworks/models/deepseek-v3';
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("Model catalog called:", new Date().toISOString());
+
+  // Handle CORS for preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return;
+  }
+
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res);
+  if (!access) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  // Flag models whose provider has no API key configured so the UI can say so.
+  // `parameters` lists each generation option's range, or null when unsupported.
+  const models = listModels().map(model => {
+    const provider = PROVIDERS[model.provider];
+    return {
+      ...model,
+      parameters: parameterBounds(model.id),
+      available: !provider.requiresApiKey || !!getApiKey(provider)
+    };
+  });
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.status(200).json({
+    models,
+    default_model: process.env.DEFAULT_MODEL || DEFAULT_MODEL,
+    reasoning_methods: listReasoningMethods()
+  });
+};
@@ -0,0 +1,59 @@
+// Vercel Serverless Function reporting conversation store health
+const { getConversationStore } = require('../lib/conversations');
+const { checkAccess, corsOrigin } = require('../lib/access');
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("Conversation store status called:", new Date().toISOString());
+
+  // Handle CORS for preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return;
+  }
+
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res);
+  if (!access) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const status = {
+    backend: process.env.CONVERSATION_STORE || (process.env.MONGODB_URI ? 'mongodb' : 'memory'),
+    mongodb_configured: !!process.env.MONGODB_URI,
+    connected: false,
+    threads: null,
+    latency_ms: null
+  };
+
+  try {
+    const store = getConversationStore();
+    const startTime = Date.now();
+    Object.assign(status, await store.ping());
+    status.threads = await store.countThreads();
+    status.latency_ms = Date.now() - startTime;
+    console.log(`Conversation store ${status.backend}: connected=${status.connected}, threads=${status.threads}`);
+  } catch (error) {
+    console.error('Conversation store check failed:', error.message);
+    status.connected = false;
+    status.error = error.message;
+  }
+
+  // Report 503 so uptime checks notice an unreachable backend
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.status(status.connected ? 200 : 503).json(status);
+};
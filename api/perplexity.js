@@ -1,5 +1,19 @@
 // Vercel/Netlify Function to handle Perplexity API requests
+//
+// Answers are cached per model, conversation and sampling settings (lib/cache);
+// send `no_cache: true` to ask again. Cache hits are not charged or recorded
+// as usage.
 const fetch = require('node-fetch');
+const { checkAccess, corsOrigin, recordTokenUsage } = require('../lib/access');
+const { buildUsageEntry, recordUsage } = require('../lib/usage');
+const { PROVIDERS, buildChatRequest, adaptChatResponse } = require('../lib/providers');
+const { validateModel, clampMaxTokens } = require('../lib/models');
+const { validateGenerationParams, pickGenerationParams } = require('../lib/generation');
+const { validateMessages } = require('../lib/context');
+const { cached, wantsNoCache, normalizeQuery } = require('../lib/cache');
+
+// Used for single `query` requests
+const DEFAULT_SYSTEM_PROMPT = "You are a helpful assistant that provides accurate information with online search capabilities.";
 
 module.exports = async (req, res) => {
   // Log function invocation to help with debugging
@@ -7,17 +21,22 @@ module.exports = async (req, res) => {
 
   // Handle OPTIONS request for CORS
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
     res.status(204).end();
     return;
   }
 
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res, { llm: true });
+  if (!access) return;
+
   // Only allow POST requests
   if (req.method !== 'POST') {
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.setHeader('Allow', 'POST');
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
@@ -31,7 +50,7 @@ module.exports = async (req, res) => {
     if (!API_KEY) {
       console.error("ERROR: Perplexity API key is missing");
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(500).json({ error: 'Perplexity API key not configured on server' });
       return;
     }
@@ -43,7 +62,7 @@ module.exports = async (req, res) => {
     } catch (parseError) {
       console.error("Failed to parse request body:", parseError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(400).json({ 
         error: 'Invalid JSON in request body', 
         message: parseError.message 
@@ -51,113 +70,134 @@ module.exports = async (req, res) => {
       return;
     }
 
-    // Validate the query parameter
-    if (!requestBody.query) {
+    // Accept a full conversation, or a single query as before
+    if (!requestBody || (requestBody.query === undefined && requestBody.messages === undefined)) {
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(400).json({ error: 'Missing required parameter: query' });
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Missing required parameter: query or messages' });
+      return;
+    }
+    
+    // An empty conversation falls back to the query; otherwise messages are checked like the chat handlers'
+    const useQuery = requestBody.query !== undefined
+      && (requestBody.messages === undefined || (Array.isArray(requestBody.messages) && requestBody.messages.length === 0));
+    const inputError = useQuery
+      ? (typeof requestBody.query !== 'string' || !requestBody.query.trim() ? 'query must be a non-empty string' : null)
+      : validateMessages(requestBody.messages);
+    if (inputError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Bad Request', message: inputError });
       return;
     }
-
-    // Log the query (truncate if very long)
-    const truncatedQuery = requestBody.query.substring(0, 100) + 
-                          (requestBody.query.length > 100 ? '...' : '');
-    console.log(`Perplexity query: "${truncatedQuery}"`);
+    
+    // Any sonar model from the catalog; the chat handlers serve streaming
+    const model = requestBody.model || 'sonar-pro';
+    const provider = PROVIDERS.perplexity;
+    const validationError = provider.matches(model)
+      ? validateModel(model) || validateGenerationParams(requestBody, { model })
+      : `${model} is not a Perplexity model`;
+    if (validationError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Bad Request', message: validationError });
+      return;
+    }
+    
+    const messages = !useQuery
+      ? requestBody.messages
+      : [
+          { role: "system", content: DEFAULT_SYSTEM_PROMPT },
+          { role: "user", content: requestBody.query }
+        ];
+    
+    // Log the latest user message (truncate if very long)
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const queryText = String((lastUserMessage && lastUserMessage.content) || '');
+    const truncatedQuery = queryText.substring(0, 100) + (queryText.length > 100 ? '...' : '');
+    console.log(`Perplexity query (${model}, ${messages.length} messages): "${truncatedQuery}"`);
+    
+    const chatParams = {
+      ...pickGenerationParams(requestBody),
+      model,
+      messages,
+      temperature: requestBody.temperature !== undefined ? requestBody.temperature : 0.7,
+      max_tokens: clampMaxTokens(model, requestBody.max_tokens || 2048)
+    };
     
     // Set a timeout for the request
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 25000); // 25 seconds timeout
     
     try {
-      // Forward the request to Perplexity API
-      const response = await fetch('https://api.perplexity.ai/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${API_KEY}`
+      let latencyMs = 0;
+      const { value: responseData, cache } = await cached('perplexity', {
+        query: queryText,
+        // Earlier turns count too, compared like the query itself
+        params: {
+          ...chatParams,
+          messages: messages.map(message => ({
+            role: message.role,
+            content: typeof message.content === 'string' ? normalizeQuery(message.content) : message.content
+          }))
         },
-        body: JSON.stringify({
-          model: "sonar-pro",
-          messages: [
-            { 
-              role: "system", 
-              content: "You are a helpful assistant that provides accurate information with online search capabilities." 
-            },
-            { 
-              role: "user", 
-              content: requestBody.query 
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 2048,
-          stream: false
-        }),
-        signal: controller.signal
+        bypass: wantsNoCache(req, requestBody)
+      }, async () => {
+        // Forward the request to Perplexity API
+        const startTime = Date.now();
+        const { url, options } = buildChatRequest(provider, { ...chatParams, stream: false }, API_KEY);
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        
+        // Check if response is ok
+        if (!response.ok) {
+          let errorText = await response.text();
+          console.error(`Perplexity API error (${response.status}): ${errorText}`);
+          const error = new Error(`Perplexity API Error: ${response.statusText}`);
+          error.status = response.status;
+          error.details = errorText;
+          throw error;
+        }
+        
+        // Parse the response data; `sources` comes from its citations and search_results
+        const data = adaptChatResponse(provider, await response.json(), model);
+        latencyMs = Date.now() - startTime;
+        console.log("Perplexity API response received successfully");
+        
+        return {
+          answer: data.choices[0].message.content,
+          sources: data.sources || [],
+          model,
+          usage: data.usage
+        };
       });
       
       // Clear the timeout
       clearTimeout(timeoutId);
       
-      // Check if response is ok
-      if (!response.ok) {
-        let errorText = await response.text();
-        console.error(`Perplexity API error (${response.status}): ${errorText}`);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.status(response.status).json({ 
-          error: `Perplexity API Error: ${response.statusText}`, 
-          details: errorText
+      // Record tokens and cost and charge the client's token budget
+      if (!cache.hit) {
+        const usageEntry = buildUsageEntry({
+          model,
+          provider: 'perplexity',
+          endpoint: 'perplexity',
+          reasoningMethod: 'Web Search',
+          clientId: access.client.id,
+          latencyMs,
+          usage: responseData.usage,
+          replyContent: responseData.answer
         });
-        return;
+        recordTokenUsage(access, usageEntry.total_tokens);
+        await recordUsage(usageEntry);
       }
       
-      // Parse the response data
-      const data = await response.json();
-      console.log("Perplexity API response received successfully");
-      
-      // Extract the answer and any citations/sources
-      let responseData = {
-        answer: data.choices[0].message.content,
-        sources: []
-      };
-      
-      // Check if there are any tool calls for citations
-      if (data.choices[0].message.tool_calls) {
-        try {
-          // Extract citations if they exist in the tool_calls
-          const citations = data.choices[0].message.tool_calls.filter(
-            tool => tool.function.name === "citation" || tool.function.name === "web_search"
-          );
-          
-          if (citations.length > 0) {
-            console.log(`Found ${citations.length} citations in response`);
-            
-            // Parse citation arguments and add to sources
-            responseData.sources = citations.map(citation => {
-              try {
-                const args = JSON.parse(citation.function.arguments);
-                return {
-                  title: args.title || "Source",
-                  url: args.url || "",
-                  snippet: args.snippet || ""
-                };
-              } catch (e) {
-                console.error("Error parsing citation arguments:", e);
-                return { title: "Citation", url: "#" };
-              }
-            });
-          }
-        } catch (e) {
-          console.warn("Error parsing citations:", e);
-        }
-      }
+      console.log(`Found ${responseData.sources.length} sources in response (cache ${cache.status})`);
       
       // Return processed response
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-      res.status(200).json(responseData);
+      res.setHeader('X-Cache', cache.status.toUpperCase());
+      res.status(200).json({ ...responseData, cache });
       
     } catch (fetchError) {
       // Clear the timeout to prevent memory leaks
@@ -166,7 +206,7 @@ module.exports = async (req, res) => {
       // Check if this is an abort error (timeout)
       if (fetchError.name === 'AbortError') {
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
         res.status(504).json({ 
           error: 'Gateway Timeout', 
           message: 'The request to the Perplexity API took too long to complete (>25 seconds).'
@@ -174,10 +214,21 @@ module.exports = async (req, res) => {
         return;
       }
       
+      // Perplexity answered with an error status
+      if (fetchError.status) {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+        res.status(fetchError.status).json({ 
+          error: fetchError.message, 
+          details: fetchError.details
+        });
+        return;
+      }
+      
       // Handle other fetch errors
       console.error("Fetch error:", fetchError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(500).json({ 
         error: 'Request Failed', 
         message: fetchError.message
@@ -186,7 +237,7 @@ module.exports = async (req, res) => {
   } catch (error) {
     console.error('Function error:', error.message, error.stack);
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.status(500).json({ 
       error: 'Internal Server Error', 
       message: error.message
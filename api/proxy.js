@@ -1,5 +1,16 @@
-// Vercel Serverless Function for Fireworks.ai API Proxy
+// Vercel Serverless Function for chat completion API Proxy
 const fetch = require('node-fetch');
+const { resolveProvider, getApiKey, buildChatRequest, adaptChatResponse } = require('../lib/providers');
+const { validateThreadFields, resetThread, recordExchange } = require('../lib/conversations');
+const { parseChainOfDraft, resolveWordLimit, shouldParseDrafts } = require('../lib/cod');
+const { validateReasoning, applyReasoning } = require('../lib/reasoning');
+const { validateGenerationParams } = require('../lib/generation');
+const { validateMessages, validateContextOptions, fitToContext, createSummarizer } = require('../lib/context');
+const { validateModel, clampMaxTokens } = require('../lib/models');
+const { validateFallbackModels, fetchWithFallback, describeAttempts } = require('../lib/retry');
+const { checkAccess, corsOrigin, recordTokenUsage } = require('../lib/access');
+const { buildUsageEntry, recordUsage } = require('../lib/usage');
+const { validateServerTools, selectServerTools, runToolLoop } = require('../lib/tools');
 
 module.exports = async (req, res) => {
   // Log function invocation
@@ -7,35 +18,28 @@ module.exports = async (req, res) => {
   
   // Handle OPTIONS request for CORS
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
     res.status(204).end();
     return;
   }
 
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res, { llm: true });
+  if (!access) return;
+
   // Only allow POST requests
   if (req.method !== 'POST') {
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.setHeader('Allow', 'POST');
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
   }
 
   try {
-    // Get API key from environment variable
-    const API_KEY = process.env.FIREWORKS_API_KEY;
-    console.log("Environment check: FIREWORKS_API_KEY exists?", !!API_KEY);
-    
-    if (!API_KEY) {
-      console.log("ERROR: API key is missing");
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(500).json({ error: 'API key not configured on server' });
-      return;
-    }
-
     // Parse the request body
     let requestBody;
     try {
@@ -43,20 +47,44 @@ module.exports = async (req, res) => {
       const modelName = requestBody.model || 'not specified';
       console.log(`Model requested: ${modelName}`);
       
+      // Resolve the upstream provider and its API key from the model name
+      const provider = resolveProvider(requestBody.model);
+      const API_KEY = getApiKey(provider);
+      console.log(`Provider: ${provider.name}, environment check: ${provider.apiKeyEnv} exists?`, !!API_KEY);
+      
+      if (provider.requiresApiKey && !API_KEY) {
+        console.log("ERROR: API key is missing");
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+        res.status(500).json({ error: `API key not configured on server (${provider.apiKeyEnv})` });
+        return;
+      }
+      
       // Extract thread ID for improved context isolation
       const threadId = requestBody.threadId || requestBody.user || `thread-${Date.now()}`;
+      // Only threads named by the client are persisted; generated ids are one-offs
+      const persistThread = !!(requestBody.threadId || requestBody.user);
       
-      // Add timing metrics for monitoring CoD vs CoT performance
-      let reasoningMethod = 'Standard';
-      if (requestBody.messages && requestBody.messages[0] && requestBody.messages[0].content) {
-        const systemPrompt = requestBody.messages[0].content;
-        if (systemPrompt.includes('Chain of Draft')) {
-          reasoningMethod = 'CoD';
-        } else if (systemPrompt.includes('Chain of Thought')) {
-          reasoningMethod = 'CoT';
-        }
+      // Validate the model against the catalog, then build the system prompt from the reasoning method
+      const validationError = validateModel(requestBody.model, { stream: requestBody.stream === true })
+        || validateReasoning(requestBody.reasoning)
+        || validateGenerationParams(requestBody, { model: requestBody.model, stream: requestBody.stream === true })
+        || validateMessages(requestBody.messages)
+        || validateContextOptions(requestBody.context)
+        || validateFallbackModels(requestBody.fallback_models)
+        || validateServerTools(requestBody.server_tools)
+        || validateThreadFields(requestBody);
+      if (validationError) {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+        res.status(400).json({ error: 'Bad Request', message: validationError });
+        return;
       }
       
+      // Add timing metrics for monitoring CoD vs CoT performance
+      const reasoning = applyReasoning(requestBody);
+      const reasoningMethod = reasoning.label;
+      
       console.log(`Using reasoning method: ${reasoningMethod}`);
       console.log(`Request complexity: ${JSON.stringify({
         messages_count: requestBody.messages ? requestBody.messages.length : 0,
@@ -74,17 +102,40 @@ module.exports = async (req, res) => {
       }, 120000);
       
       try {
-        // Validate max_tokens before sending to API
-        const originalMaxTokens = requestBody.max_tokens || 4096;
-        const validatedMaxTokens = Math.min(Math.max(1, originalMaxTokens), 8192);
+        // Clamp max_tokens to the model's output limit from the catalog
+        const originalMaxTokens = requestBody.max_tokens;
+        const validatedMaxTokens = clampMaxTokens(requestBody.model, requestBody.max_tokens);
         
-        if (originalMaxTokens !== validatedMaxTokens) {
+        if (originalMaxTokens && originalMaxTokens !== validatedMaxTokens) {
           console.log(`Adjusted max_tokens from ${originalMaxTokens} to ${validatedMaxTokens} to meet API requirements`);
         }
         
+        // Trim older turns so the prompt fits the model's context window
+        let fitted;
+        try {
+          fitted = await fitToContext(reasoning.body.messages || [], {
+            model: requestBody.model,
+            maxTokens: validatedMaxTokens,
+            options: requestBody.context,
+            summarize: createSummarizer(fetch, provider, API_KEY, requestBody.model)
+          });
+        } catch (contextError) {
+          clearTimeout(timeoutId);
+          console.error("Context window exceeded:", contextError.message);
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+          res.status(contextError.status || 500).json({ error: 'Context Length Exceeded', message: contextError.message });
+          return;
+        }
+        
+        if (fitted.stats.pruned_messages > 0) {
+          console.log(`Pruned ${fitted.stats.pruned_messages} messages (~${fitted.stats.pruned_tokens} tokens) using ${fitted.stats.policy}`);
+        }
+        
         // Create modified request body with validated parameters
         const modifiedRequestBody = {
-          ...requestBody,
+          ...reasoning.body,
+          messages: fitted.messages,
           max_tokens: validatedMaxTokens,
           user: threadId // Adding thread ID for session isolation
         };
@@ -92,25 +143,43 @@ module.exports = async (req, res) => {
         // Special handling for "reset" conversations
         if (req.query && req.query.reset === 'true') {
           console.log("Handling context reset request for thread:", threadId);
+          try {
+            await resetThread(threadId, access.client.id);
+          } catch (storeError) {
+            console.error("Failed to reset thread:", storeError.message);
+          }
         }
         
-        // Forward the request to Fireworks.ai with timeout
-        const response = await fetch('https://api.fireworks.ai/inference/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${API_KEY}`
-          },
-          body: JSON.stringify(modifiedRequestBody),
-          signal: controller.signal
+        // Forward the request with timeout, retrying 429/5xx along the model's fallback chain.
+        // Models that call web_search or research_papers get the results and are asked again.
+        const toolNames = selectServerTools(requestBody);
+        const toolLoop = await runToolLoop(fetch, {
+          messages: fitted.messages,
+          toolNames,
+          signal: controller.signal,
+          complete: (messages, extra) => fetchWithFallback(fetch, {
+            model: requestBody.model,
+            fallbackModels: requestBody.fallback_models,
+            signal: controller.signal,
+            buildRequest: (model, modelProvider, apiKey) => buildChatRequest(modelProvider, {
+              ...modifiedRequestBody,
+              ...extra,
+              messages,
+              model,
+              max_tokens: clampMaxTokens(model, validatedMaxTokens)
+            }, apiKey)
+          })
         });
+        const upstreamResult = toolLoop.upstreamResult;
+        const response = upstreamResult.response;
+        const upstream = describeAttempts(upstreamResult, requestBody.model);
 
         // Clear the timeout
         clearTimeout(timeoutId);
 
         const endTime = Date.now();
         const responseTime = endTime - startTime;
-        console.log(`Fireworks API response status: ${response.status}, time: ${responseTime}ms, method: ${reasoningMethod}`);
+        console.log(`${upstreamResult.provider.label} API response status: ${response.status}, time: ${responseTime}ms, method: ${reasoningMethod}, model: ${upstream.model}, attempts: ${upstream.attempt_count}`);
         
         // Check if response is ok
         if (!response.ok) {
@@ -118,38 +187,81 @@ module.exports = async (req, res) => {
           console.error(`API error (${response.status}): ${errorText}`);
           
           res.setHeader('Content-Type', 'application/json');
-          res.setHeader('Access-Control-Allow-Origin', '*');
+          res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
           res.status(response.status).json({ 
             error: `API Error: ${response.statusText}`, 
-            details: errorText
+            details: errorText,
+            upstream
           });
           return;
         }
         
         // Get the response data
-        const data = await response.json();
-        
-        // Log token usage if available
-        if (data.usage) {
-          console.log(`Token usage for thread ${threadId}:`, {
-            prompt_tokens: data.usage.prompt_tokens,
-            completion_tokens: data.usage.completion_tokens,
-            total_tokens: data.usage.total_tokens
-          });
-        }
+        // `model` in the reply is the model that actually answered
+        const data = adaptChatResponse(upstreamResult.provider, toolLoop.data, upstream.model);
         
         // Add performance metrics to response
         if (data && !data.error) {
           data.performance = {
             response_time_ms: responseTime,
             reasoning_method: reasoningMethod,
-            thread_id: threadId
+            word_limit: reasoning.wordLimit,
+            thread_id: threadId,
+            provider: upstream.provider,
+            model: upstream.model,
+            attempts: upstream.attempt_count,
+            fallback_used: upstream.fallback_used
           };
+          data.upstream = upstream;
+          data.context = fitted.stats;
+          // Tool calls the server ran on the model's behalf, in order
+          if (toolNames.length > 0) {
+            data.performance.tool_iterations = toolLoop.iterations;
+            data.tool_trace = toolLoop.trace;
+          }
+        }
+        
+        // Add Chain-of-Draft compliance metrics next to performance
+        const replyContent = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+        const wordLimit = resolveWordLimit(reasoning.body);
+        
+        // Record tokens and cost, estimating when the provider sends no usage,
+        // and charge the client's token budget
+        const usageEntry = buildUsageEntry({
+          model: upstream.model,
+          provider: upstream.provider,
+          endpoint: 'proxy',
+          reasoningMethod,
+          wordLimit,
+          threadId: persistThread ? threadId : null,
+          clientId: access.client.id,
+          latencyMs: responseTime,
+          usage: data.usage,
+          promptEstimate: fitted.stats.prompt_tokens_estimate,
+          replyContent
+        });
+        recordTokenUsage(access, usageEntry.total_tokens);
+        await recordUsage(usageEntry);
+        if (data.performance) {
+          data.performance.estimated_cost_usd = usageEntry.cost_usd;
+        }
+        if (data && !data.error && shouldParseDrafts(wordLimit, replyContent)) {
+          data.cod = parseChainOfDraft(replyContent, wordLimit);
+          console.log(`CoD compliance: ${data.cod.step_count} steps, ${data.cod.over_limit_steps.length} over ${wordLimit || 'no'} word limit, separator: ${data.cod.has_answer_separator}`);
+        }
+        
+        // Append this exchange to the stored thread
+        if (persistThread && replyContent) {
+          try {
+            await recordExchange(threadId, requestBody.messages, replyContent, { model: upstream.model, reasoning_method: reasoningMethod }, access.client.id);
+          } catch (storeError) {
+            console.error("Failed to persist exchange:", storeError.message);
+          }
         }
         
-        // Return the response from Fireworks.ai
+        // Return the response from the provider
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
         res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
         res.status(200).json(data);
         
@@ -162,7 +274,7 @@ module.exports = async (req, res) => {
           console.error("Request timed out after 120 seconds");
           
           res.setHeader('Content-Type', 'application/json');
-          res.setHeader('Access-Control-Allow-Origin', '*');
+          res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
           res.status(504).json({ 
             error: 'Gateway Timeout', 
             message: 'The request to the LLM API took too long to complete (>120 seconds). Try reducing complexity or using fewer tokens.'
@@ -173,7 +285,7 @@ module.exports = async (req, res) => {
         console.error("Error in fetch:", fetchError);
         
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
         res.status(500).json({ 
           error: 'Request Failed', 
           message: fetchError.message 
@@ -183,7 +295,7 @@ module.exports = async (req, res) => {
       console.error("Error parsing request:", parseError);
       
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(400).json({ 
         error: 'Bad Request', 
         message: 'Error processing request: ' + parseError.message
@@ -193,7 +305,7 @@ module.exports = async (req, res) => {
     console.error('Function error:', error.message, error.stack);
     
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.status(500).json({ 
       error: 'Internal Server Error', 
       message: error.message
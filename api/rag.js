@@ -0,0 +1,178 @@
+// Vercel Serverless Function for Retrieval-Augmented Generation
+//
+// GET  /api/rag                      - list ingested documents and store stats
+// POST /api/rag { action: 'ingest' } - chunk, embed and store documents
+// POST /api/rag { action: 'search' } - top-k chunks for a query
+// POST /api/rag { action: 'augment' } - messages with retrieved context injected
+// POST /api/rag { action: 'chat' }   - augment, then forward to the chat proxy
+// POST /api/rag { action: 'delete' } - remove a document from the store
+//
+// Documents are kept per client (see lib/access.js), like threads and usage.
+const rag = require('../lib/rag');
+const proxy = require('./proxy');
+const { checkAccess, corsOrigin } = require('../lib/access');
+const { validateMessages } = require('../lib/context');
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("RAG endpoint called:", new Date().toISOString());
+
+  // Handle CORS for preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return;
+  }
+
+  // Check client credentials, origin allowlist and rate limits; listing
+  // documents makes no model call, so only POST needs token budget
+  const access = await checkAccess(req, res, { llm: req.method === 'POST' });
+  if (!access) return;
+
+  // Each client only sees the documents it ingested
+  const clientId = access.client.id;
+
+  if (req.method === 'GET') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({
+      documents: rag.listDocuments(clientId),
+      stats: rag.stats(clientId)
+    });
+    return;
+  }
+
+  // Only allow GET and POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Allow', 'GET, POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({
+        error: 'Invalid JSON in request body',
+        message: parseError.message
+      });
+      return;
+    }
+
+    const action = requestBody.action || (requestBody.messages ? 'chat' : 'search');
+    console.log(`RAG action: ${action}`);
+
+    if (action === 'ingest') {
+      const documents = requestBody.documents || (requestBody.content ? [requestBody] : []);
+      if (!Array.isArray(documents) || documents.length === 0) {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+        res.status(400).json({ error: 'Missing required parameter: documents (an array of { title, content })' });
+        return;
+      }
+
+      const ingested = [];
+      for (const document of documents) {
+        try {
+          ingested.push(await rag.ingestDocument(document, { clientId }));
+        } catch (ingestError) {
+          if (ingestError.status !== 400) throw ingestError;
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+          res.status(400).json({ error: 'Bad Request', message: ingestError.message, ingested });
+          return;
+        }
+      }
+      console.log(`Ingested ${ingested.length} document(s)`);
+
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(200).json({ documents: ingested, stats: rag.stats(clientId), success: true });
+      return;
+    }
+
+    if (action === 'delete') {
+      const deleted = rag.deleteDocument(clientId, requestBody.document_id);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(deleted ? 200 : 404).json(deleted
+        ? { success: true, stats: rag.stats(clientId) }
+        : { error: 'Document not found' });
+      return;
+    }
+
+    if (action === 'search') {
+      if (!requestBody.query || typeof requestBody.query !== 'string') {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+        res.status(400).json({ error: 'Missing required parameter: query (a string)' });
+        return;
+      }
+
+      const results = await rag.retrieve(requestBody.query, requestBody.top_k, { clientId });
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.status(200).json({ results, success: true });
+      return;
+    }
+
+    if (action !== 'augment' && action !== 'chat') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: `Unknown action: ${action}` });
+      return;
+    }
+
+    const messagesError = validateMessages(requestBody.messages);
+    if (messagesError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Bad Request', message: messagesError });
+      return;
+    }
+
+    const query = requestBody.query || rag.lastUserMessage(requestBody.messages);
+    const citations = query ? await rag.retrieve(query, requestBody.top_k, { clientId }) : [];
+    const messages = rag.augmentMessages(requestBody.messages, citations);
+    console.log(`Retrieved ${citations.length} chunk(s) for RAG context`);
+
+    if (action === 'augment') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.status(200).json({ messages, citations, success: true });
+      return;
+    }
+
+    // Forward to the chat proxy in-process and attach the citations to its reply
+    const { action: _action, query: _query, top_k: _topK, ...chatBody } = requestBody;
+    req.body = { ...chatBody, messages, stream: false };
+
+    const sendJson = res.json.bind(res);
+    res.json = (data) => sendJson(data && !data.error ? { ...data, rag: { citations } } : data);
+
+    await proxy(req, res);
+  } catch (error) {
+    console.error('Function error:', error.message, error.stack);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,72 @@
+// Vercel Serverless Function storing records for the Edge streaming handler
+//
+// POST /api/records - { payload, signature } from api/streaming-edge.js.
+// payload is the JSON of { sent_at, usage, exchange } signed with
+// ACCESS_RECORD_SECRET (see lib/access.js); the Edge runtime cannot load the
+// usage and conversation stores itself. Not meant to be called by clients.
+const { verifyRecord } = require('../lib/access');
+const { recordUsage } = require('../lib/usage');
+const { validateId, resetThread, recordExchange } = require('../lib/conversations');
+
+// Signed records older than this are refused
+const MAX_RECORD_AGE_MS = 5 * 60 * 1000;
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("Edge records called:", new Date().toISOString());
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  let requestBody;
+  try {
+    requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  } catch (parseError) {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(400).json({ error: 'Invalid JSON in request body', message: parseError.message });
+    return;
+  }
+
+  const { payload, signature } = requestBody || {};
+  if (!(await verifyRecord(payload, signature))) {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(401).json({ error: 'Unauthorized', message: 'Invalid record signature' });
+    return;
+  }
+
+  const record = JSON.parse(payload);
+  if (!(Math.abs(Date.now() - record.sent_at) <= MAX_RECORD_AGE_MS)) {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(400).json({ error: 'Bad Request', message: 'Record is too old' });
+    return;
+  }
+
+  try {
+    if (record.usage) {
+      await recordUsage(record.usage);
+    }
+
+    // Thread ownership is checked by resetThread and recordExchange like on the Node handlers
+    const exchange = record.exchange;
+    if (exchange && !validateId(exchange.thread_id)) {
+      if (exchange.reset) {
+        await resetThread(exchange.thread_id, exchange.client_id);
+      }
+      if (exchange.reply) {
+        await recordExchange(exchange.thread_id, exchange.messages, exchange.reply, exchange.metadata, exchange.client_id);
+      }
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Failed to store edge records:", error.message);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+};
@@ -0,0 +1,57 @@
+// Vercel Serverless Function issuing signed session tokens
+//
+// POST /api/session - returns { token, expires_at } for Authorization: Bearer <token>.
+// Clients sending an API key get a short-lived token with the key's limits
+// instead of storing the key. With ACCESS_ANONYMOUS_SESSIONS=true, browser
+// clients from an allowed origin also get an anonymous per-IP session.
+const { checkAccess, corsOrigin, signSession, authRequired, bearerToken } = require('../lib/access');
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("Session endpoint called:", new Date().toISOString());
+
+  // Handle CORS for preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return;
+  }
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const anonymous = !bearerToken(req.headers);
+  const access = await checkAccess(req, res, {
+    allowAnonymous: anonymous && process.env.ACCESS_ANONYMOUS_SESSIONS === 'true'
+  });
+  if (!access) return;
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+
+  // Without a secret there is nothing to sign; tell the UI whether it needs a key
+  if (!process.env.ACCESS_SESSION_SECRET) {
+    res.status(200).json({ token: null, auth_required: authRequired() });
+    return;
+  }
+
+  try {
+    const { client } = access;
+    const session = await signSession(client.id, anonymous ? {} : { rpm: client.rpm, tpm: client.tpm });
+    res.status(200).json({ ...session, auth_required: authRequired() });
+  } catch (error) {
+    console.error("Failed to issue session token:", error.message);
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+};
@@ -1,4 +1,16 @@
 // Vercel Edge Function for Streaming API Responses
+import { resolveProvider, getApiKey } from '../lib/providers.js';
+import { createEventStream } from '../lib/sse.js';
+import { streamChatCompletion } from '../lib/chat-stream.js';
+import { resolveWordLimit } from '../lib/cod.js';
+import { validateReasoning, applyReasoning } from '../lib/reasoning.js';
+import { validateGenerationParams, pickGenerationParams } from '../lib/generation.js';
+import { validateMessages, validateContextOptions, fitToContext, createSummarizer } from '../lib/context.js';
+import { checkEdgeAccess, corsOrigin, signRecord } from '../lib/access.js';
+import { validateModel, clampMaxTokens } from '../lib/models.js';
+import { validateFallbackModels } from '../lib/retry.js';
+import { validateThreadFields } from '../lib/conversations/ids.js';
+
 export default async function handler(request, context) {
   // Log function invocation
   console.log("Streaming Edge API called:", new Date().toISOString());
@@ -8,14 +20,19 @@ export default async function handler(request, context) {
     return new Response(null, {
       status: 204,
       headers: {
-        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Origin': corsOrigin(request.headers),
+        'Vary': 'Origin',
         'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
         'Access-Control-Max-Age': '86400'
       }
     });
   }
 
+  // Check client credentials, origin allowlist and rate limits
+  const { access, response: accessDenied } = await checkEdgeAccess(request, { llm: true });
+  if (accessDenied) return accessDenied;
+
   // Only allow POST requests
   if (request.method !== 'POST') {
     return new Response(
@@ -24,7 +41,8 @@ export default async function handler(request, context) {
         status: 405,
         headers: {
           'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Origin': corsOrigin(request.headers),
+          'Vary': 'Origin',
           'Allow': 'POST'
         }
       }
@@ -32,26 +50,6 @@ export default async function handler(request, context) {
   }
 
   try {
-    // Get the Fireworks API key from environment variables
-    const apiKey = process.env.FIREWORKS_API_KEY;
-    
-    if (!apiKey) {
-      console.error("ERROR: Fireworks API key is missing in environment variables");
-      return new Response(
-        JSON.stringify({
-          error: 'API key not configured',
-          message: 'Please set FIREWORKS_API_KEY in your Vercel environment variables'
-        }),
-        {
-          status: 500,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          }
-        }
-      );
-    }
-
     // Parse request body
     let requestBody;
     try {
@@ -67,7 +65,8 @@ export default async function handler(request, context) {
           status: 400,
           headers: {
             'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
+            'Access-Control-Allow-Origin': corsOrigin(request.headers),
+            'Vary': 'Origin'
           }
         }
       );
@@ -77,28 +76,95 @@ export default async function handler(request, context) {
     const modelName = requestBody.model || 'unknown';
     console.log('Streaming request received for model:', modelName);
     
+    // Resolve the upstream provider and its API key from the model name
+    const provider = resolveProvider(requestBody.model);
+    const apiKey = getApiKey(provider);
+    
+    if (provider.requiresApiKey && !apiKey) {
+      console.error(`ERROR: ${provider.label} API key is missing in environment variables`);
+      return new Response(
+        JSON.stringify({
+          error: 'API key not configured',
+          message: `Please set ${provider.apiKeyEnv} in your Vercel environment variables`
+        }),
+        {
+          status: 500,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': corsOrigin(request.headers),
+            'Vary': 'Origin'
+          }
+        }
+      );
+    }
+    
+    // Validate the model against the catalog, then build the system prompt from the reasoning method
+    const validationError = validateModel(requestBody.model, { stream: requestBody.stream !== false })
+      || validateReasoning(requestBody.reasoning)
+      || validateGenerationParams(requestBody, { model: requestBody.model, stream: true })
+      || validateMessages(requestBody.messages)
+      || validateContextOptions(requestBody.context)
+      || validateFallbackModels(requestBody.fallback_models)
+      || validateThreadFields(requestBody);
+    if (validationError) {
+      return new Response(
+        JSON.stringify({ error: 'Bad Request', message: validationError }),
+        {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': corsOrigin(request.headers),
+            'Vary': 'Origin'
+          }
+        }
+      );
+    }
+    const reasoning = applyReasoning(requestBody);
+    console.log(`Using reasoning method: ${reasoning.label}`);
+    
     // Enable streaming if not explicitly set
     if (requestBody.stream === undefined) {
       requestBody.stream = true;
     }
     
-    // Prepare request for Fireworks API
-    const apiEndpoint = 'https://api.fireworks.ai/inference/v1/chat/completions';
+    // Clamp max_tokens to the model's output limit from the catalog
+    const originalMaxTokens = requestBody.max_tokens;
+    const validatedMaxTokens = clampMaxTokens(requestBody.model, requestBody.max_tokens);
     
-    // Validate max_tokens (Fireworks models accept different limits based on model)
-    const originalMaxTokens = requestBody.max_tokens || 4096;
-    const validatedMaxTokens = Math.min(Math.max(1, originalMaxTokens), 8192);
-    
-    if (originalMaxTokens !== validatedMaxTokens) {
+    if (originalMaxTokens && originalMaxTokens !== validatedMaxTokens) {
       console.log(`Adjusted max_tokens from ${originalMaxTokens} to ${validatedMaxTokens}`);
     }
     
+    // Trim older turns so the prompt fits the model's context window
+    let fitted;
+    try {
+      fitted = await fitToContext(reasoning.body.messages || [], {
+        model: requestBody.model,
+        maxTokens: validatedMaxTokens,
+        options: requestBody.context,
+        summarize: createSummarizer(fetch, provider, apiKey, requestBody.model)
+      });
+    } catch (contextError) {
+      console.error("Context window exceeded:", contextError.message);
+      return new Response(
+        JSON.stringify({ error: 'Context Length Exceeded', message: contextError.message }),
+        {
+          status: contextError.status || 500,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': corsOrigin(request.headers),
+            'Vary': 'Origin'
+          }
+        }
+      );
+    }
+    
     const cleanedParams = {
+      // temperature, top_p, stop, seed, ... (lib/generation.js)
+      ...pickGenerationParams(requestBody),
       model: requestBody.model,
-      messages: requestBody.messages,
+      messages: fitted.messages,
       max_tokens: validatedMaxTokens,
-      temperature: requestBody.temperature,
-      top_p: requestBody.top_p,
       stream: true  // Force streaming mode
     };
 
@@ -109,75 +175,90 @@ export default async function handler(request, context) {
       }
     });
     
-    // Set up the Fireworks API request
-    const apiRequestOptions = {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(cleanedParams)
-    };
-    
-    // Call the Fireworks API
-    const apiResponse = await fetch(apiEndpoint, apiRequestOptions);
-    
-    if (!apiResponse.ok) {
-      let errorMessage = `API Error: ${apiResponse.status}`;
-      try {
-        const errorText = await apiResponse.text();
-        errorMessage = errorText || errorMessage;
-      } catch (e) {
-        console.error('Error parsing error response:', e);
-      }
-
-      return new Response(
-        JSON.stringify({ 
-          error: true, 
-          message: errorMessage
-        }),
-        {
-          status: apiResponse.status,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          }
-        }
-      );
-    }
-    
     // Transform the response into a readable stream
     const { readable, writable } = new TransformStream();
     const writer = writable.getWriter();
     const encoder = new TextEncoder();
-    const decoder = new TextDecoder();
     
-    // Process the API response stream
-    const apiStream = apiResponse.body;
-    const reader = apiStream.getReader();
+    // Same typed events, heartbeats and single [DONE] as /api/streaming; see lib/sse.js
+    const stream = createEventStream((text) => writer.write(encoder.encode(text)));
+    const wordLimit = resolveWordLimit(reasoning.body);
+    const threadId = requestBody.threadId || requestBody.user || null;
+    // ?reset=true clears the thread like on /api/streaming; /api/records does it
+    const resetThread = new URL(request.url).searchParams.get('reset') === 'true';
     
-    // Function to process and forward each chunk
-    const pump = async () => {
+    // The usage and conversation stores need Node, so the records go to /api/records
+    const storeRecords = async ({ content, usageEntry, upstream }) => {
+      const payload = JSON.stringify({
+        sent_at: Date.now(),
+        usage: usageEntry,
+        exchange: threadId && (content || resetThread) ? {
+          thread_id: threadId,
+          client_id: access.client.id,
+          reset: resetThread,
+          messages: requestBody.messages,
+          reply: content,
+          metadata: { model: upstream.model, reasoning_method: reasoning.label }
+        } : null
+      });
+      const signature = await signRecord(payload);
+      if (!signature) {
+        console.log('Usage (set ACCESS_RECORD_SECRET to store it):', JSON.stringify(usageEntry));
+        return;
+      }
+      
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) {
-            // Signal the end of the stream
-            await writer.write(encoder.encode("data: [DONE]\n\n"));
-            await writer.close();
-            return;
-          }
-          
-          // Forward the chunk directly
-          await writer.write(value);
+        const response = await fetch(new URL('/api/records', request.url), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ payload, signature })
+        });
+        if (!response.ok) {
+          console.error(`Failed to store records: ${response.status} ${await response.text()}`);
         }
-      } catch (error) {
-        console.error('Stream processing error:', error);
-        // Send error message in SSE format
-        await writer.write(encoder.encode(`data: ${JSON.stringify({error: true, message: error.message})}\n\n`));
-        await writer.write(encoder.encode("data: [DONE]\n\n"));
-        await writer.close();
+      } catch (storeError) {
+        console.error("Failed to store records:", storeError.message);
+      }
+    };
+    
+    // Let the records outlive the response when the runtime allows it
+    const keepRecords = async (records) => {
+      const stored = storeRecords(records);
+      if (context && typeof context.waitUntil === 'function') {
+        context.waitUntil(stored);
+      } else {
+        await stored;
+      }
+    };
+    
+    // Function to run the upstream call and forward its events
+    const pump = async () => {
+      try {
+        await streamChatCompletion(stream, {
+          fetchImpl: fetch,
+          model: requestBody.model,
+          fallbackModels: requestBody.fallback_models,
+          requestBody: cleanedParams,
+          fitted,
+          reasoning,
+          wordLimit,
+          access,
+          signal: request.signal,
+          usageFields: {
+            endpoint: 'streaming-edge',
+            reasoningMethod: reasoning.label,
+            wordLimit,
+            threadId,
+            clientId: access.client.id,
+            promptEstimate: fitted.stats.prompt_tokens_estimate
+          },
+          onComplete: keepRecords,
+          // Failed or abandoned streams still cost the tokens sent so far
+          onIncomplete: ({ usageEntry, upstream }) => keepRecords({ content: null, usageEntry, upstream })
+        });
+      } finally {
+        stream.close();
+        await writer.close().catch(() => {});
       }
     };
     
@@ -190,7 +271,8 @@ export default async function handler(request, context) {
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
         'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
+        'Access-Control-Allow-Origin': corsOrigin(request.headers),
+        'Vary': 'Origin'
       }
     });
     
@@ -209,7 +291,8 @@ export default async function handler(request, context) {
         status: 500,
         headers: {
           'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
+          'Access-Control-Allow-Origin': corsOrigin(request.headers),
+          'Vary': 'Origin'
         }
       }
     );
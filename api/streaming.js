@@ -1,5 +1,17 @@
 // Node.js compatible function for streaming API responses
 const fetch = require('node-fetch');
+const { resolveProvider, getApiKey } = require('../lib/providers');
+const { validateThreadFields, resetThread, recordExchange } = require('../lib/conversations');
+const { createEventStream } = require('../lib/sse');
+const { streamChatCompletion } = require('../lib/chat-stream');
+const { resolveWordLimit } = require('../lib/cod');
+const { validateReasoning, applyReasoning } = require('../lib/reasoning');
+const { validateGenerationParams, pickGenerationParams } = require('../lib/generation');
+const { validateMessages, validateContextOptions, fitToContext, createSummarizer } = require('../lib/context');
+const { validateModel, clampMaxTokens } = require('../lib/models');
+const { validateFallbackModels } = require('../lib/retry');
+const { checkAccess, corsOrigin } = require('../lib/access');
+const { recordUsage } = require('../lib/usage');
 
 module.exports = async (req, res) => {
   // Log function invocation
@@ -7,38 +19,28 @@ module.exports = async (req, res) => {
 
   // Handle OPTIONS request for CORS
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
     res.status(204).end();
     return;
   }
 
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res, { llm: true });
+  if (!access) return;
+
   // Only allow POST requests
   if (req.method !== 'POST') {
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.setHeader('Allow', 'POST');
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
   }
 
   try {
-    // Get the Fireworks API key from environment variables
-    const apiKey = process.env.FIREWORKS_API_KEY;
-    console.log("Environment check: FIREWORKS_API_KEY exists?", !!apiKey);
-    
-    if (!apiKey) {
-      console.error("ERROR: Fireworks API key is missing in environment variables");
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.status(500).json({
-        error: 'API key not configured',
-        message: 'Please set FIREWORKS_API_KEY in your Vercel environment variables'
-      });
-      return;
-    }
-
     // Parse request body
     let requestBody;
     try {
@@ -46,7 +48,7 @@ module.exports = async (req, res) => {
     } catch (parseError) {
       console.error("Failed to parse request body:", parseError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
       res.status(400).json({
         error: 'Invalid JSON in request body',
         message: parseError.message
@@ -58,28 +60,86 @@ module.exports = async (req, res) => {
     const modelName = requestBody.model || 'unknown';
     console.log('Streaming request received for model:', modelName);
     
+    // Resolve the upstream provider and its API key from the model name
+    const provider = resolveProvider(requestBody.model);
+    const apiKey = getApiKey(provider);
+    console.log(`Provider: ${provider.name}, environment check: ${provider.apiKeyEnv} exists?`, !!apiKey);
+    
+    if (provider.requiresApiKey && !apiKey) {
+      console.error(`ERROR: ${provider.label} API key is missing in environment variables`);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(500).json({
+        error: 'API key not configured',
+        message: `Please set ${provider.apiKeyEnv} in your Vercel environment variables`
+      });
+      return;
+    }
+    
+    // Validate the model against the catalog, then build the system prompt from the reasoning method
+    const validationError = validateModel(requestBody.model, { stream: requestBody.stream !== false })
+      || validateReasoning(requestBody.reasoning)
+      || validateGenerationParams(requestBody, { model: requestBody.model, stream: true })
+      || validateMessages(requestBody.messages)
+      || validateContextOptions(requestBody.context)
+      || validateFallbackModels(requestBody.fallback_models)
+      || validateThreadFields(requestBody);
+    if (validationError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(400).json({ error: 'Bad Request', message: validationError });
+      return;
+    }
+    const reasoning = applyReasoning(requestBody);
+    console.log(`Using reasoning method: ${reasoning.label}`);
+    
     // Enable streaming if not explicitly set
     if (requestBody.stream === undefined) {
       requestBody.stream = true;
     }
     
-    // Prepare request for Fireworks API
-    const apiEndpoint = 'https://api.fireworks.ai/inference/v1/chat/completions';
+    // Only threads named by the client are persisted
+    const threadId = requestBody.threadId || requestBody.user;
+    if (threadId && req.query && req.query.reset === 'true') {
+      console.log("Handling context reset request for thread:", threadId);
+      try {
+        await resetThread(threadId, access.client.id);
+      } catch (storeError) {
+        console.error("Failed to reset thread:", storeError.message);
+      }
+    }
     
-    // Validate max_tokens (Fireworks models accept different limits based on model)
-    const originalMaxTokens = requestBody.max_tokens || 4096;
-    const validatedMaxTokens = Math.min(Math.max(1, originalMaxTokens), 8192);
+    // Clamp max_tokens to the model's output limit from the catalog
+    const originalMaxTokens = requestBody.max_tokens;
+    const validatedMaxTokens = clampMaxTokens(requestBody.model, requestBody.max_tokens);
     
-    if (originalMaxTokens !== validatedMaxTokens) {
+    if (originalMaxTokens && originalMaxTokens !== validatedMaxTokens) {
       console.log(`Adjusted max_tokens from ${originalMaxTokens} to ${validatedMaxTokens}`);
     }
     
+    // Trim older turns so the prompt fits the model's context window
+    let fitted;
+    try {
+      fitted = await fitToContext(reasoning.body.messages || [], {
+        model: requestBody.model,
+        maxTokens: validatedMaxTokens,
+        options: requestBody.context,
+        summarize: createSummarizer(fetch, provider, apiKey, requestBody.model)
+      });
+    } catch (contextError) {
+      console.error("Context window exceeded:", contextError.message);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+      res.status(contextError.status || 500).json({ error: 'Context Length Exceeded', message: contextError.message });
+      return;
+    }
+    
     const cleanedParams = {
+      // temperature, top_p, stop, seed, ... (lib/generation.js)
+      ...pickGenerationParams(requestBody),
       model: requestBody.model,
-      messages: requestBody.messages,
+      messages: fitted.messages,
       max_tokens: validatedMaxTokens,
-      temperature: requestBody.temperature,
-      top_p: requestBody.top_p,
       stream: true  // Force streaming mode
     };
 
@@ -94,69 +154,69 @@ module.exports = async (req, res) => {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.flushHeaders(); // Important for streaming
     
-    // Set up the Fireworks API request
-    const apiRequestOptions = {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(cleanedParams)
-    };
+    // Typed events (context, upstream, delta, usage, cod, performance, error)
+    // with heartbeats and a single [DONE]; see lib/sse.js
+    const stream = createEventStream((text) => {
+      res.write(text);
+      // Flush to ensure streaming
+      res.flush && res.flush();
+    });
     
-    try {
-      // Call the Fireworks API to get the streaming response
-      const response = await fetch(apiEndpoint, apiRequestOptions);
-      
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`);
-      }
-      
-      // Get the readable stream from the response
-      const apiStream = response.body;
-      
-      // Set up event listeners for the stream
-      apiStream.on('data', (chunk) => {
-        // Send each chunk directly to the client
-        res.write(chunk);
-        // Flush to ensure streaming
-        res.flush && res.flush();
-      });
-      
-      apiStream.on('end', () => {
-        // Ensure [DONE] is sent to close the client connection
-        res.write('data: [DONE]\n\n');
-        res.end();
-      });
-      
-      apiStream.on('error', (error) => {
-        console.error('Stream error:', error);
-        res.write(`data: ${JSON.stringify({error: true, message: error.message})}\n\n`);
-        res.write('data: [DONE]\n\n');
+    // Handle client disconnection
+    const controller = new AbortController();
+    req.on('close', () => {
+      if (!stream.closed) console.log('Client closed connection');
+      controller.abort();
+      stream.close();
+    });
+    
+    const wordLimit = resolveWordLimit(reasoning.body);
+    await streamChatCompletion(stream, {
+      fetchImpl: fetch,
+      model: requestBody.model,
+      fallbackModels: requestBody.fallback_models,
+      requestBody: cleanedParams,
+      fitted,
+      reasoning,
+      wordLimit,
+      access,
+      signal: controller.signal,
+      usageFields: {
+        endpoint: 'streaming',
+        reasoningMethod: reasoning.label,
+        wordLimit,
+        threadId: threadId || null,
+        clientId: access.client.id,
+        promptEstimate: fitted.stats.prompt_tokens_estimate
+      },
+      onComplete: async ({ content, usageEntry, upstream }) => {
         res.end();
-      });
-      
-      // Handle client disconnection
-      req.on('close', () => {
-        console.log('Client closed connection');
-        apiStream.destroy();
+        
+        // Append this exchange to the stored thread
+        if (threadId && content) {
+          try {
+            await recordExchange(threadId, requestBody.messages, content, { model: upstream.model, reasoning_method: reasoning.label }, access.client.id);
+          } catch (storeError) {
+            console.error("Failed to persist exchange:", storeError.message);
+          }
+        }
+        await recordUsage(usageEntry);
+      },
+      // Failed or abandoned streams still cost the tokens sent so far
+      onIncomplete: async ({ usageEntry }) => {
         res.end();
-      });
-      
-    } catch (error) {
-      console.error('API request error:', error);
-      res.write(`data: ${JSON.stringify({error: true, message: error.message})}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
-    }
+        await recordUsage(usageEntry);
+      }
+    });
+    if (!res.writableEnded) res.end();
   } catch (error) {
     console.error('Function error:', error.name, error.message);
     
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
     res.status(500).json({
       error: error.message || 'Unknown error',
       details: {
@@ -0,0 +1,164 @@
+// Vercel Serverless Function for conversation threads and their messages
+//
+// GET    /api/threads                       - list threads
+// POST   /api/threads                       - create a thread
+// GET    /api/threads/:id                   - thread with its messages
+// PATCH  /api/threads/:id                   - update title/metadata
+// DELETE /api/threads/:id                   - delete a thread
+// GET    /api/threads/:id/messages          - list messages
+// POST   /api/threads/:id/messages          - append messages
+// DELETE /api/threads/:id/messages          - clear all messages
+// PATCH  /api/threads/:id/messages/:msgId   - edit a message
+// DELETE /api/threads/:id/messages/:msgId   - delete a message
+// Clients only see their own threads; other clients' threads are reported as missing.
+const { getConversationStore, validateId, canUseThread } = require('../lib/conversations');
+const { checkAccess, corsOrigin } = require('../lib/access');
+
+function sendJson(req, res, status, payload) {
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.status(status).json(payload);
+}
+
+// Threads without the owner, which is internal
+function publicThread(thread) {
+  const { client_id, ...rest } = thread;
+  return rest;
+}
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("Threads API called:", new Date().toISOString());
+
+  // Handle CORS for preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return;
+  }
+
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res);
+  if (!access) return;
+
+  try {
+    // Parse request body
+    let requestBody = {};
+    try {
+      if (req.body) {
+        requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      }
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      sendJson(req, res, 400, { error: 'Invalid JSON in request body', message: parseError.message });
+      return;
+    }
+
+    const store = getConversationStore();
+    const { id: threadId, messageId, resource } = req.query || {};
+    const method = req.method;
+
+    // Ids become store keys, so only plain ones get that far
+    const idError = (threadId !== undefined && validateId(threadId, 'Thread id'))
+      || (messageId !== undefined && validateId(messageId, 'Message id'))
+      || (method === 'POST' && !threadId && requestBody.id !== undefined && validateId(requestBody.id, 'Thread id'));
+    if (idError) {
+      sendJson(req, res, 400, { error: 'Bad Request', message: idError });
+      return;
+    }
+
+    const clientId = access.client.id;
+    if (threadId && !(await canUseThread(threadId, clientId))) {
+      sendJson(req, res, 404, { error: 'Thread not found' });
+      return;
+    }
+
+    // Collection: /api/threads
+    if (!threadId) {
+      if (method === 'GET') {
+        const threads = await store.listThreads({ clientId });
+        sendJson(req, res, 200, { threads: threads.map(publicThread) });
+      } else if (method === 'POST') {
+        const thread = await store.createThread({
+          id: requestBody.id,
+          title: requestBody.title,
+          metadata: requestBody.metadata,
+          clientId
+        });
+        if (!thread) {
+          sendJson(req, res, 409, { error: 'Thread already exists' });
+          return;
+        }
+        sendJson(req, res, 201, publicThread(thread));
+      } else {
+        res.setHeader('Allow', 'GET, POST');
+        sendJson(req, res, 405, { error: 'Method Not Allowed' });
+      }
+      return;
+    }
+
+    // Single message: /api/threads/:id/messages/:msgId
+    if (messageId) {
+      if (method === 'PATCH') {
+        const message = await store.updateMessage(threadId, messageId, requestBody);
+        sendJson(req, res, message ? 200 : 404, message || { error: 'Message not found' });
+      } else if (method === 'DELETE') {
+        const deleted = await store.deleteMessage(threadId, messageId);
+        sendJson(req, res, deleted ? 200 : 404, deleted ? { success: true } : { error: 'Message not found' });
+      } else {
+        res.setHeader('Allow', 'PATCH, DELETE');
+        sendJson(req, res, 405, { error: 'Method Not Allowed' });
+      }
+      return;
+    }
+
+    // Messages: /api/threads/:id/messages
+    if (resource === 'messages') {
+      if (method === 'GET') {
+        const thread = await store.getThread(threadId);
+        sendJson(req, res, thread ? 200 : 404, thread ? { messages: thread.messages } : { error: 'Thread not found' });
+      } else if (method === 'POST') {
+        const messages = requestBody.messages || [requestBody];
+        const invalid = messages.find(m => !m || !m.role || typeof m.content !== 'string');
+        if (invalid) {
+          sendJson(req, res, 400, { error: 'Each message needs a role and string content' });
+          return;
+        }
+        sendJson(req, res, 201, { messages: await store.appendMessages(threadId, messages, { clientId }) });
+      } else if (method === 'DELETE') {
+        const cleared = await store.clearMessages(threadId);
+        sendJson(req, res, cleared ? 200 : 404, cleared ? { success: true } : { error: 'Thread not found' });
+      } else {
+        res.setHeader('Allow', 'GET, POST, DELETE');
+        sendJson(req, res, 405, { error: 'Method Not Allowed' });
+      }
+      return;
+    }
+
+    // Thread: /api/threads/:id
+    if (method === 'GET') {
+      const thread = await store.getThread(threadId);
+      sendJson(req, res, thread ? 200 : 404, thread ? publicThread(thread) : { error: 'Thread not found' });
+    } else if (method === 'PATCH') {
+      const thread = await store.updateThread(threadId, requestBody);
+      sendJson(req, res, thread ? 200 : 404, thread ? publicThread(thread) : { error: 'Thread not found' });
+    } else if (method === 'DELETE') {
+      const deleted = await store.deleteThread(threadId);
+      sendJson(req, res, deleted ? 200 : 404, deleted ? { success: true } : { error: 'Thread not found' });
+    } else {
+      res.setHeader('Allow', 'GET, PATCH, DELETE');
+      sendJson(req, res, 405, { error: 'Method Not Allowed' });
+    }
+  } catch (error) {
+    console.error('Function error:', error.message, error.stack);
+    sendJson(req, res, 500, {
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,77 @@
+// Vercel Serverless Function reporting token usage and estimated cost
+//
+// GET /api/usage?from=2025-01-01&to=2025-01-31&model=...&thread_id=...
+// Returns totals plus breakdowns by day, model, reasoning method and thread.
+// Add records=true to include the raw usage records. Clients only see their
+// own usage.
+const { getUsageStore, aggregateUsage } = require('../lib/usage');
+const { checkAccess, corsOrigin } = require('../lib/access');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+module.exports = async (req, res) => {
+  // Log function invocation
+  console.log("Usage report called:", new Date().toISOString());
+
+  // Handle CORS for preflight requests
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(204).end();
+    return;
+  }
+
+  // Check client credentials, origin allowlist and rate limits
+  const access = await checkAccess(req, res);
+  if (!access) return;
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  const query = req.query || {};
+  const filter = {
+    from: query.from,
+    to: query.to,
+    model: query.model,
+    thread_id: query.thread_id,
+    client_id: access.client.id
+  };
+
+  const badDate = ['from', 'to'].find(key => filter[key] && !DAY_PATTERN.test(filter[key]));
+  if (badDate) {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.status(400).json({ error: 'Bad Request', message: `${badDate} must be a date like 2025-01-31` });
+    return;
+  }
+
+  try {
+    const store = getUsageStore();
+    const records = await store.list(filter);
+    const report = aggregateUsage(records);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({
+      backend: store.name,
+      filter,
+      ...report,
+      records: query.records === 'true' ? records : undefined
+    });
+  } catch (error) {
+    console.error("Usage report failed:", error.message);
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin(req.headers));
+    res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+};
@@ -0,0 +1,94 @@
+// Abacus.AI deployments behind /api/abacus-research, the abacus web search
+// backend (lib/websearch) and the server-side chat tools (lib/tools.js)
+//
+// Web search uses ABACUS_WEBSEARCH_TOKEN / ABACUS_WEBSEARCH_ID; the research
+// agent uses ABACUS_DEPLOYMENT_TOKEN / ABACUS_DEPLOYMENT_ID / ABACUS_API_KEY.
+// `fetchImpl` is node-fetch in Node handlers. Failed calls throw an Error with
+// `status` and `details` from the Abacus.AI response.
+const ABACUS_API_URL = 'https://api.abacus.ai/api';
+const WEBSEARCH_TIMEOUT_MS = 30000;
+const RESEARCH_TIMEOUT_MS = 180000;
+
+function webSearchConfigured() {
+  return !!(process.env.ABACUS_WEBSEARCH_TOKEN && process.env.ABACUS_WEBSEARCH_ID);
+}
+
+function researchConfigured() {
+  return !!(process.env.ABACUS_DEPLOYMENT_TOKEN && process.env.ABACUS_DEPLOYMENT_ID);
+}
+
+// POST with a timeout that also follows the caller's abort signal
+async function postJson(fetchImpl, url, { headers = {}, payload, timeoutMs, signal }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Abacus.AI API error (${response.status}): ${errorText}`);
+      const error = new Error(`Abacus.AI API Error: ${response.statusText}`);
+      error.status = response.status;
+      error.details = errorText;
+      throw error;
+    }
+
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// Resolves to the search results text
+async function searchWeb(fetchImpl, query, { signal } = {}) {
+  const data = await postJson(fetchImpl, `${ABACUS_API_URL}/v0/deployment/predict`, {
+    headers: { 'Authorization': `Bearer ${process.env.ABACUS_WEBSEARCH_TOKEN}` },
+    payload: {
+      deploymentId: process.env.ABACUS_WEBSEARCH_ID,
+      input: { query }
+    },
+    timeoutMs: WEBSEARCH_TIMEOUT_MS,
+    signal
+  });
+  return (data.output && data.output.search_output) || 'No search results found.';
+}
+
+// Resolves to the research agent's formatted paper list. Research jobs pass a
+// longer `timeoutMs` than the default used by the chat tool.
+async function searchResearchPapers(fetchImpl, query, { email, signal, timeoutMs = RESEARCH_TIMEOUT_MS } = {}) {
+  // The agent takes the API key as one of its arguments
+  const keywordArgs = {
+    subject: query,
+    api_key: process.env.ABACUS_API_KEY
+  };
+  if (email) {
+    keywordArgs.email = email;
+  }
+
+  const data = await postJson(fetchImpl, `${ABACUS_API_URL}/agents/execute`, {
+    payload: {
+      deployment_token: process.env.ABACUS_DEPLOYMENT_TOKEN,
+      deployment_id: process.env.ABACUS_DEPLOYMENT_ID,
+      keyword_arguments: keywordArgs
+    },
+    timeoutMs,
+    signal
+  });
+  return data.research_papers || 'No research papers found.';
+}
+
+module.exports = {
+  webSearchConfigured,
+  researchConfigured,
+  searchWeb,
+  searchResearchPapers
+};
@@ -0,0 +1,362 @@
+// Access layer shared by every api/*.js handler
+//
+// Without configuration the endpoints stay open (as before) but are rate
+// limited per client IP. Configure with:
+//   ACCESS_API_KEYS         - name:key[:rpm[:tpm]] entries, comma-separated.
+//                             Clients send Authorization: Bearer <key> or X-API-Key.
+//   ACCESS_SESSION_SECRET   - enables signed session tokens from POST /api/session,
+//                             so the browser UI does not need to embed a key
+//   ACCESS_SESSION_TTL      - session lifetime in seconds (default 3600)
+//   ACCESS_ANONYMOUS_SESSIONS - set to true to also issue sessions to clients without an API key
+//   ACCESS_ALLOWED_ORIGINS  - browser origins allowed to call the API (same-origin is always allowed).
+//                             Responses then echo the allowed Origin instead of *.
+//                             Requests without an API key must then come from a browser
+//                             (Origin or Sec-Fetch-Site: same-origin).
+//   ACCESS_RATE_LIMIT_RPM   - default requests per minute per client (0 disables)
+//   ACCESS_TOKEN_LIMIT_TPM  - default LLM tokens per minute per client (0 disables)
+//   ACCESS_RECORD_SECRET    - signs the usage and thread records the Edge handler
+//                             posts to /api/records (defaults to ACCESS_SESSION_SECRET)
+// When ACCESS_API_KEYS or ACCESS_SESSION_SECRET is set, every request needs a
+// key or session token. Buckets live in instance memory, so limits are per
+// serverless instance; buckets that have refilled are dropped. Keep this module free of Node-only imports so the Edge
+// runtime can use it; signing uses Web Crypto.
+
+const DEFAULT_RATE_LIMIT_RPM = 60;
+const DEFAULT_TOKEN_LIMIT_TPM = 200000;
+const DEFAULT_SESSION_TTL_SECONDS = 3600;
+const BUCKET_SWEEP_INTERVAL_MS = 60000;
+
+const buckets = new Map();
+let lastBucketSweep = Date.now();
+
+function listEnv(name) {
+  return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+function limitEnv(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function parseApiKeys() {
+  return listEnv('ACCESS_API_KEYS').map(entry => {
+    const [name, key, rpm, tpm] = entry.split(':');
+    return {
+      name,
+      key,
+      rpm: rpm ? parseInt(rpm) : null,
+      tpm: tpm ? parseInt(tpm) : null
+    };
+  }).filter(entry => entry.name && entry.key);
+}
+
+function authRequired() {
+  return parseApiKeys().length > 0 || !!process.env.ACCESS_SESSION_SECRET;
+}
+
+// Works with Node's plain header object and the Edge Headers class
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) || undefined;
+  const value = headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function clientIp(headers) {
+  const forwarded = readHeader(headers, 'x-forwarded-for');
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return readHeader(headers, 'x-real-ip') || 'unknown';
+}
+
+function bearerToken(headers) {
+  const authorization = readHeader(headers, 'authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : readHeader(headers, 'x-api-key');
+}
+
+// Compare secrets without returning early on the first differing character
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// With an allowlist, a request without an Origin only passes when the browser
+// marks it same-origin (same-origin GETs carry no Origin) or `trusted` is set
+// for API key clients, which are not browsers
+function originAllowed(headers, { trusted = false } = {}) {
+  const origin = readHeader(headers, 'origin');
+  const allowed = listEnv('ACCESS_ALLOWED_ORIGINS');
+  if (allowed.length === 0 || allowed.includes('*')) return true;
+  if (!origin) return trusted || readHeader(headers, 'sec-fetch-site') === 'same-origin';
+  if (allowed.includes(origin)) return true;
+
+  // The bundled UI calls the API from its own origin
+  const host = readHeader(headers, 'x-forwarded-host') || readHeader(headers, 'host');
+  try {
+    return !!host && new URL(origin).host === host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Value for Access-Control-Allow-Origin: any origin without an allowlist,
+// otherwise the request's Origin when it is allowed. Other origins get the
+// first allowed origin, which the browser will not match.
+function corsOrigin(headers) {
+  const allowed = listEnv('ACCESS_ALLOWED_ORIGINS');
+  if (allowed.length === 0 || allowed.includes('*')) return '*';
+  const origin = readHeader(headers, 'origin');
+  return origin && originAllowed(headers) ? origin : allowed[0];
+}
+
+/***********************
+ * Session tokens
+ ***********************/
+function base64UrlEncode(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function hmac(secret, data) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+  return base64UrlEncode(new Uint8Array(signature));
+}
+
+// Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+async function signSession(subject, limits = {}) {
+  const secret = process.env.ACCESS_SESSION_SECRET;
+  if (!secret) throw new Error('Please set ACCESS_SESSION_SECRET to issue session tokens');
+
+  const ttl = limitEnv('ACCESS_SESSION_TTL', DEFAULT_SESSION_TTL_SECONDS);
+  const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    sub: subject,
+    exp: expiresAt,
+    rpm: limits.rpm || undefined,
+    tpm: limits.tpm || undefined
+  })));
+  return { token: `${payload}.${await hmac(secret, payload)}`, expires_at: expiresAt };
+}
+
+async function verifySession(token) {
+  const secret = process.env.ACCESS_SESSION_SECRET;
+  const parts = (token || '').split('.');
+  if (!secret || parts.length !== 2) return null;
+
+  const expected = await hmac(secret, parts[0]);
+  if (!safeEqual(expected, parts[1])) return null;
+
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/***********************
+ * Signed records
+ ***********************/
+// The Edge runtime cannot load the usage and conversation stores, so
+// api/streaming-edge.js hands its records to api/records.js with a signature
+function recordSecret() {
+  return process.env.ACCESS_RECORD_SECRET || process.env.ACCESS_SESSION_SECRET || null;
+}
+
+// Returns null when no secret is configured
+async function signRecord(payload) {
+  const secret = recordSecret();
+  return secret ? hmac(secret, payload) : null;
+}
+
+async function verifyRecord(payload, signature) {
+  const secret = recordSecret();
+  if (!secret || typeof payload !== 'string' || typeof signature !== 'string') return false;
+  return safeEqual(await hmac(secret, payload), signature);
+}
+
+/***********************
+ * Token buckets
+ ***********************/
+// A bucket that has refilled is the same as a missing one, so idle clients
+// do not keep theirs
+function sweepBuckets(now) {
+  if (now - lastBucketSweep < BUCKET_SWEEP_INTERVAL_MS) return;
+  lastBucketSweep = now;
+  buckets.forEach((bucket, id) => {
+    if (bucket.tokens + (now - bucket.updatedAt) * bucket.perMinute / 60000 >= bucket.perMinute) {
+      buckets.delete(id);
+    }
+  });
+}
+
+// Take `cost` from a bucket refilling `perMinute` per minute; returns seconds to wait, or 0
+function takeFromBucket(id, perMinute, cost) {
+  if (!perMinute) return 0;
+
+  const now = Date.now();
+  sweepBuckets(now);
+  const refillPerMs = perMinute / 60000;
+  const bucket = buckets.get(id) || { tokens: perMinute, updatedAt: now };
+  bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  bucket.perMinute = perMinute;
+  buckets.set(id, bucket);
+
+  if (bucket.tokens < cost) {
+    return Math.max(1, Math.ceil((cost - bucket.tokens) / refillPerMs / 1000));
+  }
+  bucket.tokens -= cost;
+  return 0;
+}
+
+function rejection(status, error, message, retryAfter) {
+  return { allowed: false, status, error, message, retryAfter };
+}
+
+// Identify the client and apply the origin allowlist and request limits.
+// Pass `llm: true` for endpoints that spend LLM tokens so clients that are
+// over their token budget are turned away before the upstream call.
+// `allowAnonymous` lets clients without credentials through even when
+// authentication is required (used to issue anonymous session tokens).
+async function authorize({ headers, llm = false, allowAnonymous = false } = {}) {
+  let client = null;
+  const credential = bearerToken(headers);
+  const apiKey = credential ? parseApiKeys().find(entry => safeEqual(entry.key, credential)) : null;
+
+  if (!originAllowed(headers, { trusted: !!apiKey })) {
+    const origin = readHeader(headers, 'origin');
+    return rejection(403, 'Forbidden', origin ? `Origin ${origin} is not allowed` : 'Requests without an API key need an allowed Origin');
+  }
+
+  if (credential) {
+    if (apiKey) {
+      client = { id: `key:${apiKey.name}`, rpm: apiKey.rpm, tpm: apiKey.tpm };
+    } else {
+      const session = await verifySession(credential);
+      if (session) {
+        client = { id: session.sub, rpm: session.rpm, tpm: session.tpm };
+      }
+    }
+    if (!client && authRequired()) {
+      return rejection(401, 'Unauthorized', 'Invalid or expired API key or session token');
+    }
+  }
+
+  if (!client) {
+    if (authRequired() && !allowAnonymous) {
+      return rejection(401, 'Unauthorized', 'Send an API key or session token as Authorization: Bearer <token>. Browser clients can get a session token from POST /api/session.');
+    }
+    client = { id: `ip:${clientIp(headers)}` };
+  }
+
+  const rpm = client.rpm || limitEnv('ACCESS_RATE_LIMIT_RPM', DEFAULT_RATE_LIMIT_RPM);
+  const tpm = client.tpm || limitEnv('ACCESS_TOKEN_LIMIT_TPM', DEFAULT_TOKEN_LIMIT_TPM);
+
+  const requestWait = takeFromBucket(`requests:${client.id}`, rpm, 1);
+  if (requestWait) {
+    return rejection(429, 'Too Many Requests', `Request limit of ${rpm} per minute exceeded`, requestWait);
+  }
+
+  // Token usage is charged after the reply; a client in debt waits it off
+  if (llm) {
+    const tokenWait = takeFromBucket(`tokens:${client.id}`, tpm, 1);
+    if (tokenWait) {
+      return rejection(429, 'Too Many Requests', `Token limit of ${tpm} per minute exceeded`, tokenWait);
+    }
+  }
+
+  return { allowed: true, client: { ...client, rpm, tpm } };
+}
+
+// Charge LLM tokens after a reply; the bucket may go negative
+function recordTokenUsage(access, tokens) {
+  if (!access || !access.allowed || !access.client.tpm || !(tokens > 0)) return;
+  takeFromBucket(`tokens:${access.client.id}`, access.client.tpm, 0);
+  const bucket = buckets.get(`tokens:${access.client.id}`);
+  bucket.tokens -= tokens;
+}
+
+function rejectionHeaders(result, requestHeaders) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': corsOrigin(requestHeaders),
+    'Vary': 'Origin'
+  };
+  if (result.retryAfter) headers['Retry-After'] = String(result.retryAfter);
+  if (result.status === 401) headers['WWW-Authenticate'] = 'Bearer';
+  return headers;
+}
+
+function rejectionBody(result) {
+  const body = { error: result.error, message: result.message };
+  if (result.retryAfter) body.retry_after = result.retryAfter;
+  return body;
+}
+
+// Node handlers: run the checks once per request (api/rag.js hands its
+// request to api/proxy.js) and send the rejection. Returns the access result
+// or null when a response has been sent. Responses echo allowed origins
+// (corsOrigin), so they vary by Origin.
+async function checkAccess(req, res, options = {}) {
+  if (req.access) return req.access;
+
+  res.setHeader('Vary', 'Origin');
+  const result = await authorize({ headers: req.headers, ...options });
+  if (!result.allowed) {
+    console.log(`Access denied (${result.status}): ${result.message}`);
+    Object.entries(rejectionHeaders(result, req.headers)).forEach(([name, value]) => res.setHeader(name, value));
+    res.status(result.status).json(rejectionBody(result));
+    return null;
+  }
+
+  req.access = result;
+  return result;
+}
+
+// Edge handlers: same checks, returning a Response to send or null
+async function checkEdgeAccess(request, options = {}) {
+  const result = await authorize({ headers: request.headers, ...options });
+  if (result.allowed) return { access: result, response: null };
+
+  console.log(`Access denied (${result.status}): ${result.message}`);
+  return {
+    access: null,
+    response: new Response(JSON.stringify(rejectionBody(result)), {
+      status: result.status,
+      headers: rejectionHeaders(result, request.headers)
+    })
+  };
+}
+
+module.exports = {
+  authorize,
+  checkAccess,
+  checkEdgeAccess,
+  recordTokenUsage,
+  signSession,
+  signRecord,
+  verifyRecord,
+  authRequired,
+  originAllowed,
+  corsOrigin,
+  clientIp,
+  parseApiKeys,
+  bearerToken,
+  safeEqual
+};
@@ -0,0 +1,60 @@
+// Benchmark datasets: GSM8K-style JSONL, one { question, answer } per line
+//
+// GSM8K answers carry the worked solution followed by `#### <answer>`; only
+// the part after the separator is the reference. Plain answers are used as
+// they are. An optional `id` names the item in reports.
+const ANSWER_SEPARATOR = '####';
+
+function referenceAnswer(answer) {
+  const text = String(answer).trim();
+  const separatorIndex = text.lastIndexOf(ANSWER_SEPARATOR);
+  return separatorIndex === -1 ? text : text.slice(separatorIndex + ANSWER_SEPARATOR.length).trim();
+}
+
+// Returns an error message for an invalid item, or null
+function validateItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return 'expected an object with question and answer';
+  if (typeof item.question !== 'string' || !item.question.trim()) return 'question must be a non-empty string';
+  if (typeof item.answer !== 'string' && typeof item.answer !== 'number') return 'answer must be a string or number';
+  if (!referenceAnswer(item.answer)) return `answer has nothing after ${ANSWER_SEPARATOR}`;
+  return null;
+}
+
+// Items as the runner uses them: { id, question, reference }
+function normalizeItems(rawItems) {
+  return rawItems.map((item, index) => {
+    const error = validateItem(item);
+    if (error) {
+      const failure = new Error(`Item ${index + 1}: ${error}`);
+      failure.status = 400;
+      throw failure;
+    }
+    return {
+      id: item.id !== undefined ? String(item.id) : String(index + 1),
+      question: item.question.trim(),
+      reference: referenceAnswer(item.answer)
+    };
+  });
+}
+
+// Parse JSONL text; blank lines are skipped. Errors name the line.
+function parseDataset(text) {
+  const rawItems = [];
+  String(text || '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      rawItems.push(JSON.parse(line));
+    } catch (error) {
+      const failure = new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+      failure.status = 400;
+      throw failure;
+    }
+  });
+  return normalizeItems(rawItems);
+}
+
+module.exports = {
+  parseDataset,
+  normalizeItems,
+  referenceAnswer
+};
@@ -0,0 +1,257 @@
+// Offline benchmark runner for reasoning methods (POST /api/benchmark and
+// scripts/benchmark.js)
+//
+// Every dataset item is asked once per method, e.g. standard, cot, cod:10 and
+// cod:20, with the system prompts from lib/reasoning.js, so results match what
+// the chat handlers send. Answers are taken from after #### and scored
+// against the reference (see scoring.js). At most `concurrency` requests run
+// at once. `upstream: "live"` goes to the model's provider with the usual
+// retries and fallbacks; `upstream: "mock"` answers offline (mock-upstream.js).
+// Each answered live request is reported to `onUsage` so callers can charge
+// and record it like a chat completion.
+const { REASONING_METHODS, DEFAULT_WORD_LIMIT, validateReasoning, applyReasoning } = require('../reasoning');
+const { validateModel, clampMaxTokens } = require('../models');
+const { validateGenerationParams } = require('../generation');
+const { resolveProvider, buildChatRequest, adaptChatResponse } = require('../providers');
+const { fetchWithFallback } = require('../retry');
+const { estimateTokens } = require('../context');
+const { createMockFetch } = require('./mock-upstream');
+const { extractPrediction, isCorrect } = require('./scoring');
+const { parseDataset, normalizeItems } = require('./dataset');
+
+const DEFAULT_MODEL = 'accounts/fireworks/models/deepseek-v3';
+const DEFAULT_METHODS = ['standard', 'cot', 'cod:10'];
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TEMPERATURE = 0;
+const DEFAULT_MAX_TOKENS = 1024;
+const UPSTREAMS = ['live', 'mock'];
+
+// "cod:15" or { method: 'cod', word_limit: 15 } -> { method, word_limit, label }
+function parseMethod(spec) {
+  const reasoning = typeof spec === 'string'
+    ? { method: spec.split(':')[0].trim(), word_limit: spec.includes(':') ? Number(spec.split(':')[1]) : undefined }
+    : { method: spec.method, word_limit: spec.word_limit === null ? undefined : spec.word_limit };
+
+  const error = validateReasoning(reasoning);
+  if (error) {
+    const failure = new Error(error);
+    failure.status = 400;
+    throw failure;
+  }
+
+  const definition = REASONING_METHODS[reasoning.method];
+  if (!definition.usesWordLimit) {
+    return { method: reasoning.method, word_limit: null, label: definition.label };
+  }
+  const wordLimit = Number(reasoning.word_limit || DEFAULT_WORD_LIMIT);
+  return { method: reasoning.method, word_limit: wordLimit, label: `${definition.label}-${wordLimit}` };
+}
+
+// Returns an error message for invalid run options, or null
+function defaultModel() {
+  return process.env.DEFAULT_MODEL || DEFAULT_MODEL;
+}
+
+// Temperature is checked like on the chat handlers; max_tokens is clamped to
+// the model by the caller
+function validateOptions({ model, methods, upstream, concurrency, temperature, max_tokens: maxTokens }) {
+  if (upstream !== undefined && !UPSTREAMS.includes(upstream)) {
+    return `upstream must be one of: ${UPSTREAMS.join(', ')}`;
+  }
+  if (upstream !== 'mock') {
+    const modelError = validateModel(model || defaultModel());
+    if (modelError) return modelError;
+  }
+  const paramsError = validateGenerationParams({ temperature }, { model: model || defaultModel() });
+  if (paramsError) return paramsError;
+  if (maxTokens !== undefined && maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens >= 1)) {
+    return 'max_tokens must be a positive integer';
+  }
+  if (methods !== undefined && (!Array.isArray(methods) || methods.length === 0)) {
+    return 'methods must be a non-empty array like ["cot", "cod:10"]';
+  }
+  if (concurrency !== undefined && !(parseInt(concurrency) >= 1)) {
+    return 'concurrency must be a positive integer';
+  }
+  return null;
+}
+
+// complete(body, signal) resolves to { content, usage, model, provider }
+function createCompleter(upstream, fetchImpl, items) {
+  if (upstream === 'mock') {
+    const mockFetch = createMockFetch(items);
+    return async (body, signal) => {
+      const { url, options } = buildChatRequest(resolveProvider(body.model), body, null);
+      const response = await mockFetch(url, { ...options, signal });
+      const data = await response.json();
+      return { content: data.choices[0].message.content, usage: data.usage, model: body.model };
+    };
+  }
+
+  return async (body, signal) => {
+    const result = await fetchWithFallback(fetchImpl, {
+      model: body.model,
+      signal,
+      buildRequest: (model, provider, apiKey) => buildChatRequest(provider, {
+        ...body,
+        model,
+        max_tokens: clampMaxTokens(model, body.max_tokens)
+      }, apiKey)
+    });
+
+    if (!result.response.ok) {
+      const details = await result.response.text();
+      const failure = new Error(`Upstream returned ${result.response.status}`);
+      failure.status = result.response.status;
+      failure.details = details.slice(0, 500);
+      throw failure;
+    }
+
+    const data = adaptChatResponse(result.provider, await result.response.json(), result.model);
+    const message = data.choices && data.choices[0] && data.choices[0].message;
+    return { content: (message && message.content) || '', usage: data.usage, model: result.model, provider: result.provider.name };
+  };
+}
+
+// Run `worker(task)` over every task with at most `limit` in flight
+async function runPool(tasks, limit, worker, signal) {
+  let next = 0;
+  async function lane() {
+    while (next < tasks.length) {
+      if (signal && signal.aborted) return;
+      const task = tasks[next++];
+      await worker(task);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, lane));
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function summarize(method, results) {
+  const answered = results.filter(result => !result.error);
+  const correct = results.filter(result => result.correct).length;
+  return {
+    label: method.label,
+    method: method.method,
+    word_limit: method.word_limit,
+    items: results.length,
+    correct,
+    accuracy: results.length ? Number((correct / results.length).toFixed(4)) : 0,
+    errors: results.length - answered.length,
+    with_separator: answered.filter(result => result.answer_source === 'separator').length,
+    mean_completion_tokens: mean(answered.map(result => result.completion_tokens)),
+    mean_latency_ms: mean(answered.map(result => result.latency_ms)),
+    tokens_estimated: answered.some(result => result.tokens_estimated)
+  };
+}
+
+// Resolves to the report: { model, upstream, settings, methods: [summary],
+// items: [{ id, reference, results: { <label>: result } }] }.
+// Failed requests count as wrong and are listed with their error.
+async function runBenchmark({
+  items,
+  methods = DEFAULT_METHODS,
+  model = defaultModel(),
+  upstream = 'live',
+  temperature = DEFAULT_TEMPERATURE,
+  maxTokens = DEFAULT_MAX_TOKENS,
+  concurrency = DEFAULT_CONCURRENCY,
+  fetchImpl,
+  signal,
+  onProgress = () => {},
+  onUsage = () => {}
+}) {
+  const startedAt = new Date().toISOString();
+  // cod and cod:10 are the same run
+  const parsedMethods = methods.map(parseMethod)
+    .filter((method, index, all) => all.findIndex(other => other.label === method.label) === index);
+  const complete = createCompleter(upstream, fetchImpl, items);
+
+  // One task per item and method; each gets its `result`
+  const tasks = [];
+  items.forEach(item => parsedMethods.forEach(method => tasks.push({ item, method, result: null })));
+  let done = 0;
+
+  await runPool(tasks, parseInt(concurrency) || DEFAULT_CONCURRENCY, async (task) => {
+    const { item, method } = task;
+    const reasoning = applyReasoning({
+      model,
+      messages: [{ role: 'user', content: item.question }],
+      temperature,
+      max_tokens: maxTokens,
+      stream: false,
+      reasoning: { method: method.method, word_limit: method.word_limit || undefined }
+    });
+    const { body } = reasoning;
+
+    const startTime = Date.now();
+    let result;
+    try {
+      const reply = await complete(body, signal);
+      const latencyMs = Date.now() - startTime;
+      if (upstream === 'live') {
+        onUsage({
+          model: reply.model,
+          provider: reply.provider,
+          reasoningMethod: reasoning.label,
+          wordLimit: reasoning.wordLimit,
+          latencyMs,
+          usage: reply.usage,
+          promptEstimate: body.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+          replyContent: reply.content
+        });
+      }
+      const prediction = extractPrediction(reply.content);
+      const reported = !!(reply.usage && reply.usage.completion_tokens);
+      result = {
+        prediction: prediction.text,
+        answer_source: prediction.source,
+        correct: isCorrect(prediction.text, item.reference),
+        completion_tokens: reported ? reply.usage.completion_tokens : estimateTokens(reply.content),
+        tokens_estimated: !reported,
+        latency_ms: latencyMs,
+        model: reply.model
+      };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      result = { prediction: null, correct: false, error: error.message, latency_ms: Date.now() - startTime };
+    }
+
+    task.result = result;
+    done += 1;
+    onProgress(done, tasks.length);
+  }, signal);
+
+  if (signal && signal.aborted) {
+    throw Object.assign(new Error('The benchmark was cancelled'), { name: 'AbortError' });
+  }
+
+  return {
+    model,
+    upstream,
+    settings: { temperature, max_tokens: maxTokens, concurrency: parseInt(concurrency) || DEFAULT_CONCURRENCY },
+    item_count: items.length,
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+    methods: parsedMethods.map(method => summarize(method, tasks.filter(task => task.method === method).map(task => task.result))),
+    items: items.map(item => ({
+      id: item.id,
+      reference: item.reference,
+      results: Object.fromEntries(tasks.filter(task => task.item === item).map(task => [task.method.label, task.result]))
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_METHODS,
+  parseDataset,
+  normalizeItems,
+  parseMethod,
+  defaultModel,
+  validateOptions,
+  runBenchmark
+};
@@ -0,0 +1,160 @@
+// Offline stand-in for an OpenAI-compatible /chat/completions endpoint
+//
+// Benchmark runs with `upstream: "mock"` send their requests here instead of
+// a provider, so the whole pipeline (prompts, extraction, scoring, reports)
+// runs without network access or API keys. The mock looks up the reference
+// answer of the question it is asked and replies in the shape the system
+// prompt asks for: CoD drafts within the word limit followed by ####, CoT
+// prose, or a bare answer. Whether it answers correctly is decided by a hash
+// of the question and prompt, so repeated runs give the same report.
+// MOCK_ACCURACY overrides the per-method rates (JSON like {"cod": 0.7}) and
+// MOCK_UPSTREAM_MS_PER_TOKEN (default 1) simulates generation time.
+const { estimateTokens } = require('../context');
+
+const DEFAULT_ACCURACY = { standard: 0.55, cot: 0.9, cod: 0.85 };
+const DEFAULT_MS_PER_TOKEN = 1;
+
+function accuracyFor(method) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.MOCK_ACCURACY || '{}');
+  } catch (error) {
+    console.error('Ignoring invalid MOCK_ACCURACY:', error.message);
+  }
+  return overrides[method] !== undefined ? Number(overrides[method]) : DEFAULT_ACCURACY[method];
+}
+
+// FNV-1a, scaled to [0, 1)
+function hashUnit(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+function wrongAnswer(reference) {
+  const number = Number(String(reference).replace(/,/g, ''));
+  return Number.isNaN(number) ? 'unknown' : String(number + 1);
+}
+
+function detectMethod(systemPrompt) {
+  const draft = systemPrompt.match(/\((\d+) words maximum per step\)/);
+  if (draft) return { method: 'cod', wordLimit: parseInt(draft[1]) };
+  if (/step by step/i.test(systemPrompt)) return { method: 'cot', wordLimit: null };
+  return { method: 'standard', wordLimit: null };
+}
+
+function questionWords(question) {
+  return question.replace(/[^\w\s]/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+function composeReply(question, answer, { method, wordLimit }) {
+  const words = questionWords(question);
+
+  if (method === 'cod') {
+    // Short drafts over the question's own words, each within the limit
+    const steps = [];
+    for (let i = 0; i < Math.min(words.length, 24); i += 6) {
+      steps.push(words.slice(i, i + Math.min(6, wordLimit)).join(' '));
+    }
+    return `${steps.join('. ')}. #### ${answer}`;
+  }
+
+  if (method === 'cot') {
+    return [
+      `Let's work through this step by step. The question asks: ${question}`,
+      `First, I identify the quantities mentioned: ${words.filter(word => /\d/.test(word)).join(', ') || 'none are given directly'}.`,
+      'Next, I set up the calculation that relates them and carry it out carefully, checking each intermediate result.',
+      'Finally, I verify that the result answers what was asked and is in the right units.',
+      `Therefore, the answer is ${answer}.`
+    ].join('\n\n');
+  }
+
+  return `The answer is ${answer}.`;
+}
+
+function jsonResponse(status, data) {
+  const text = JSON.stringify(data);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Bad Request',
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+}
+
+function abortError() {
+  return Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(abortError());
+    };
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// A fetch() that answers chat completions for questions in `items`
+// ({ question, reference }, see dataset.js)
+function createMockFetch(items) {
+  const references = new Map(items.map(item => [item.question.trim(), item.reference]));
+  const msPerToken = parseFloat(process.env.MOCK_UPSTREAM_MS_PER_TOKEN);
+
+  return async function mockFetch(url, options = {}) {
+    let body;
+    try {
+      body = JSON.parse(options.body);
+    } catch (error) {
+      return jsonResponse(400, { error: { message: 'Invalid JSON body' } });
+    }
+
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const system = messages.find(message => message.role === 'system');
+    const systemPrompt = system ? String(system.content) : '';
+    const question = [...messages].reverse().find(message => message.role === 'user');
+    if (!question) {
+      return jsonResponse(400, { error: { message: 'No user message' } });
+    }
+
+    const format = detectMethod(systemPrompt);
+    const reference = references.get(String(question.content).trim());
+    let answer = 'I do not know';
+    if (reference !== undefined) {
+      const correct = hashUnit(`${systemPrompt}\n${question.content}`) < accuracyFor(format.method);
+      answer = correct ? reference : wrongAnswer(reference);
+    }
+
+    const content = composeReply(String(question.content), answer, format);
+    const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    const completionTokens = estimateTokens(content);
+
+    await sleep(completionTokens * (Number.isNaN(msPerToken) ? DEFAULT_MS_PER_TOKEN : msPerToken), options.signal);
+
+    return jsonResponse(200, {
+      id: `mock-${Date.now()}`,
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    });
+  };
+}
+
+module.exports = {
+  createMockFetch
+};
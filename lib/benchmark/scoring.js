@@ -0,0 +1,60 @@
+// Answer extraction and scoring for benchmark runs
+//
+// The prediction is the text after #### (see lib/cod.js). Standard and CoT
+// prompts do not ask for the separator, so without one the last number in
+// the reply is used instead. Numeric references are compared as numbers
+// ("$1,200.00" matches "1200"); anything else is compared after lowercasing
+// and dropping punctuation and articles.
+const { parseChainOfDraft, stripThinkBlocks } = require('../cod');
+
+const NUMBER_PATTERN = /-?\d[\d,]*(?:\.\d+)?/g;
+const NUMERIC_REFERENCE = /^-?\d[\d,]*(?:\.\d+)?$/;
+const TOLERANCE = 1e-6;
+
+// Resolves the answer a reply gives: { text, source } where source is
+// 'separator', 'last_number' or 'none'
+function extractPrediction(content) {
+  const parsed = parseChainOfDraft(content);
+  if (parsed.final_answer !== null) {
+    return { text: parsed.final_answer, source: 'separator' };
+  }
+
+  const numbers = stripThinkBlocks(content || '').match(NUMBER_PATTERN);
+  if (numbers) {
+    return { text: numbers[numbers.length - 1], source: 'last_number' };
+  }
+  return { text: '', source: 'none' };
+}
+
+function toNumber(text) {
+  return Number(text.replace(/,/g, ''));
+}
+
+function normalizeAnswer(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\\boxed\{([^}]*)\}/g, '$1')
+    .replace(/[^\p{L}\p{N}.\-\s]/gu, ' ')
+    .replace(/\b(a|an|the)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\.$/, '');
+}
+
+function isCorrect(prediction, reference) {
+  const normalizedReference = normalizeAnswer(reference).replace(/\s/g, '');
+  if (NUMERIC_REFERENCE.test(normalizedReference)) {
+    // The last number wins: "20 - 12 = 8" answers 8
+    const numbers = String(prediction || '').match(NUMBER_PATTERN);
+    if (!numbers) return false;
+    return Math.abs(toNumber(numbers[numbers.length - 1]) - toNumber(normalizedReference)) < TOLERANCE;
+  }
+  return normalizeAnswer(prediction) === normalizeAnswer(reference);
+}
+
+module.exports = {
+  extractPrediction,
+  normalizeAnswer,
+  isCorrect
+};
@@ -0,0 +1,71 @@
+// On-disk cache store: one JSON file per entry under <dir>/<namespace>/
+//
+// Survives warm restarts and is shared by local processes. File modification
+// times track use, so eviction removes the least recently used entries.
+// Vercel functions can only write to /tmp, so that is the default location.
+const fs = require('fs');
+const path = require('path');
+
+function createFileStore(directory) {
+  function entryPath(namespace, key) {
+    return path.join(directory, namespace, `${key}.json`);
+  }
+
+  function listEntries(namespace) {
+    const dir = path.join(directory, namespace);
+    try {
+      return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => {
+          const file = path.join(dir, name);
+          return { file, mtime: fs.statSync(file).mtimeMs };
+        });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`Could not list cache at ${dir}:`, error.message);
+      return [];
+    }
+  }
+
+  return {
+    name: 'file',
+
+    async get(namespace, key) {
+      const file = entryPath(namespace, key);
+      try {
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+        return entry;
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Could not read cache entry ${file}:`, error.message);
+        return null;
+      }
+    },
+
+    async set(namespace, key, entry, { maxEntries }) {
+      const file = entryPath(namespace, key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(entry));
+
+      const stored = listEntries(namespace);
+      if (stored.length > maxEntries) {
+        stored
+          .sort((a, b) => a.mtime - b.mtime)
+          .slice(0, stored.length - maxEntries)
+          .forEach(({ file: oldFile }) => fs.rmSync(oldFile, { force: true }));
+      }
+    },
+
+    async delete(namespace, key) {
+      fs.rmSync(entryPath(namespace, key), { force: true });
+    },
+
+    async stats(namespace) {
+      return { entries: listEntries(namespace).length, path: path.join(directory, namespace) };
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
@@ -0,0 +1,153 @@
+// Result cache for paid lookups: /api/abacus-websearch, research jobs from
+// /api/abacus-research and /api/perplexity
+//
+// CACHE_STORE selects the backend:
+//   memory - per-instance, lost on cold start (default)
+//   file   - one JSON file per entry under CACHE_STORE_PATH (default: OS temp dir)
+//   off    - never cache
+// Each namespace has its own TTL, entry limit and largest cacheable result,
+// overridable with CACHE_<NAMESPACE>_TTL_MS, CACHE_<NAMESPACE>_MAX_ENTRIES and
+// CACHE_<NAMESPACE>_MAX_BYTES. Keys hash the normalized query together with
+// every parameter that changes the answer. Only successful results are stored.
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+
+const MINUTE_MS = 60 * 1000;
+
+const POLICIES = {
+  websearch: { ttlMs: 15 * MINUTE_MS, maxEntries: 500, maxBytes: 256 * 1024 },
+  research: { ttlMs: 24 * 60 * MINUTE_MS, maxEntries: 100, maxBytes: 512 * 1024 },
+  perplexity: { ttlMs: 60 * MINUTE_MS, maxEntries: 200, maxBytes: 256 * 1024 }
+};
+
+let store;
+
+function getCacheStore() {
+  if (store !== undefined) return store;
+
+  const backend = process.env.CACHE_STORE || 'memory';
+
+  if (backend === 'file') {
+    store = createFileStore(process.env.CACHE_STORE_PATH || path.join(os.tmpdir(), 'result-cache'));
+  } else if (backend === 'memory') {
+    store = createMemoryStore();
+  } else if (backend === 'off') {
+    store = null;
+  } else {
+    throw new Error(`Unknown cache store: ${backend}`);
+  }
+
+  return store;
+}
+
+function getPolicy(namespace) {
+  const defaults = POLICIES[namespace];
+  if (!defaults) throw new Error(`Unknown cache namespace: ${namespace}`);
+
+  const prefix = `CACHE_${namespace.toUpperCase()}_`;
+  const fromEnv = (name, fallback) => {
+    const value = parseInt(process.env[prefix + name]);
+    return Number.isNaN(value) ? fallback : value;
+  };
+  return {
+    ttlMs: fromEnv('TTL_MS', defaults.ttlMs),
+    maxEntries: fromEnv('MAX_ENTRIES', defaults.maxEntries),
+    maxBytes: fromEnv('MAX_BYTES', defaults.maxBytes)
+  };
+}
+
+// Case and spacing do not change what a search finds
+function normalizeQuery(query) {
+  return String(query || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Object keys are sorted so parameter order does not matter
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function cacheKey(namespace, query, params = {}) {
+  return crypto.createHash('sha256')
+    .update(`${namespace}\n${normalizeQuery(query)}\n${stableStringify(params)}`)
+    .digest('hex');
+}
+
+// A request opts out with `no_cache: true` in its body or a
+// Cache-Control: no-cache header. It still refreshes the cached copy.
+function wantsNoCache(req, requestBody) {
+  if (requestBody && requestBody.no_cache === true) return true;
+  const header = req.headers && (req.headers['cache-control'] || req.headers['Cache-Control']);
+  return /no-cache|no-store/i.test(header || '');
+}
+
+// Resolves to { value, cache } where value is the cached result or whatever
+// compute() resolves to, and cache describes what happened:
+// { status: 'hit' | 'miss' | 'bypass' | 'off', hit, key, age_ms, expires_at }.
+// Cache failures are logged and never fail the lookup.
+async function cached(namespace, { query, params, bypass = false }, compute) {
+  const cacheStore = getCacheStore();
+  if (!cacheStore) {
+    return { value: await compute(), cache: { status: 'off', hit: false } };
+  }
+
+  const policy = getPolicy(namespace);
+  const key = cacheKey(namespace, query, params);
+
+  if (!bypass) {
+    try {
+      const entry = await cacheStore.get(namespace, key);
+      if (entry && Date.parse(entry.expires_at) > Date.now()) {
+        console.log(`Cache hit (${namespace}) ${key.slice(0, 12)}`);
+        return {
+          value: entry.value,
+          cache: { status: 'hit', hit: true, key, age_ms: Date.now() - Date.parse(entry.created_at), expires_at: entry.expires_at }
+        };
+      }
+      if (entry) await cacheStore.delete(namespace, key);
+    } catch (error) {
+      console.error(`Cache read failed (${namespace}):`, error.message);
+    }
+  }
+
+  const value = await compute();
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + policy.ttlMs).toISOString();
+  const cache = { status: bypass ? 'bypass' : 'miss', hit: false, key, age_ms: 0, expires_at: expiresAt };
+
+  try {
+    const bytes = Buffer.byteLength(JSON.stringify(value));
+    if (policy.ttlMs > 0 && bytes <= policy.maxBytes) {
+      await cacheStore.set(namespace, key, { value, created_at: createdAt.toISOString(), expires_at: expiresAt }, policy);
+    } else {
+      cache.expires_at = null;
+      if (bytes > policy.maxBytes) {
+        console.log(`Not caching ${namespace} result of ${bytes} bytes (limit ${policy.maxBytes})`);
+      }
+    }
+  } catch (error) {
+    cache.expires_at = null;
+    console.error(`Cache write failed (${namespace}):`, error.message);
+  }
+
+  return { value, cache };
+}
+
+module.exports = {
+  getCacheStore,
+  getPolicy,
+  normalizeQuery,
+  cacheKey,
+  wantsNoCache,
+  cached
+};
@@ -0,0 +1,46 @@
+// In-memory cache store
+//
+// One Map per namespace in least-recently-used order: reads move an entry to
+// the end and writes evict from the front once maxEntries is reached.
+function createMemoryStore() {
+  const namespaces = new Map();
+
+  function entries(namespace) {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  }
+
+  return {
+    name: 'memory',
+
+    async get(namespace, key) {
+      const map = entries(namespace);
+      const entry = map.get(key);
+      if (!entry) return null;
+      map.delete(key);
+      map.set(key, entry);
+      return entry;
+    },
+
+    async set(namespace, key, entry, { maxEntries }) {
+      const map = entries(namespace);
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > maxEntries) {
+        map.delete(map.keys().next().value);
+      }
+    },
+
+    async delete(namespace, key) {
+      entries(namespace).delete(key);
+    },
+
+    async stats(namespace) {
+      return { entries: entries(namespace).size };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
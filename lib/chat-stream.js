@@ -0,0 +1,177 @@
+// One streamed chat completion, shared by the Node and Edge streaming handlers
+//
+// Keeping the whole sequence here is what makes /api/streaming and
+// /api/streaming-edge emit identical events (see createEventStream in sse.js).
+// Keep this module free of Node-only imports so the Edge runtime can use it.
+const { buildChatRequest } = require('./providers');
+const { clampMaxTokens } = require('./models');
+const { fetchWithFallback, describeAttempts } = require('./retry');
+const { parseChainOfDraft, shouldParseDrafts } = require('./cod');
+const { recordTokenUsage } = require('./access');
+const { buildUsageEntry } = require('./usage/entry');
+
+// node-fetch bodies are Node streams, Edge bodies are web ReadableStreams
+async function* readBody(body) {
+  if (typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    for await (const chunk of body) {
+      yield chunk;
+    }
+  }
+}
+
+// `requestBody` is the upstream body (fitted messages, clamped max_tokens).
+// `onComplete({ content, usageEntry, upstream })` runs after the terminator
+// for persistence. When the upstream fails mid-stream or the client goes
+// away, `onIncomplete({ content, usageEntry, upstream })` runs instead with
+// usage estimated from the deltas already sent; the tokens were spent.
+async function streamChatCompletion(stream, {
+  fetchImpl,
+  model,
+  fallbackModels,
+  requestBody,
+  fitted,
+  reasoning,
+  wordLimit,
+  usageFields,
+  access,
+  signal,
+  onComplete = async () => {},
+  onIncomplete = async () => {}
+}) {
+  const startTime = Date.now();
+
+  // Report context trimming up front; it is known before the first token
+  stream.send('context', fitted.stats);
+
+  // Retry 429/5xx along the model's fallback chain. Nothing has been
+  // forwarded yet, so failing over never mixes models in one reply.
+  let upstreamResult;
+  try {
+    upstreamResult = await fetchWithFallback(fetchImpl, {
+      model,
+      fallbackModels,
+      signal,
+      buildRequest: (candidate, provider, apiKey) => buildChatRequest(provider, {
+        ...requestBody,
+        model: candidate,
+        max_tokens: clampMaxTokens(candidate, requestBody.max_tokens)
+      }, apiKey)
+    });
+  } catch (error) {
+    console.error('API request error:', error.message);
+    return stream.fail(error.message);
+  }
+
+  const response = upstreamResult.response;
+  const upstream = describeAttempts(upstreamResult, model);
+
+  if (!response.ok) {
+    let details = '';
+    try {
+      details = await response.text();
+    } catch (e) {
+      console.error('Error reading error response:', e.message);
+    }
+    console.error(`API error (${response.status}): ${details}`);
+    return stream.fail(`API Error: ${response.status} ${response.statusText} after ${upstream.attempt_count} attempt(s)`, {
+      status: response.status,
+      details,
+      upstream
+    });
+  }
+
+  stream.send('upstream', upstream);
+
+  // Charges the client for what has been streamed so far
+  const chargeUsage = () => {
+    const usageEntry = buildUsageEntry({
+      ...usageFields,
+      model: upstream.model,
+      provider: upstream.provider,
+      stream: true,
+      latencyMs: Date.now() - startTime,
+      usage: stream.state.usage,
+      replyContent: stream.state.content
+    });
+    recordTokenUsage(access, usageEntry.total_tokens);
+    return usageEntry;
+  };
+
+  const finishIncomplete = async () => {
+    const usageEntry = chargeUsage();
+    try {
+      await onIncomplete({ content: stream.state.content, usageEntry, upstream });
+    } catch (error) {
+      console.error('Failed to finish stream bookkeeping:', error.message);
+    }
+  };
+
+  try {
+    for await (const chunk of readBody(response.body)) {
+      if (stream.closed) break;
+      stream.relay(chunk);
+    }
+  } catch (error) {
+    console.error('Stream error:', error.message);
+    await stream.fail(error.message, { upstream });
+    return finishIncomplete();
+  }
+
+  // The relay already sent the error and [DONE]
+  if (stream.state.error) {
+    console.error('Upstream reported an error mid-stream:', stream.state.error);
+    return finishIncomplete();
+  }
+
+  if (stream.closed) {
+    console.log('Client closed connection');
+    return finishIncomplete();
+  }
+
+  const content = stream.state.content;
+  const usageEntry = chargeUsage();
+
+  await stream.end({
+    usage: {
+      prompt_tokens: usageEntry.prompt_tokens,
+      completion_tokens: usageEntry.completion_tokens,
+      total_tokens: usageEntry.total_tokens,
+      estimated: usageEntry.estimated,
+      cost_usd: usageEntry.cost_usd
+    },
+    cod: shouldParseDrafts(wordLimit, content) ? parseChainOfDraft(content, wordLimit) : null,
+    performance: {
+      response_time_ms: usageEntry.latency_ms,
+      time_to_first_token_ms: stream.state.firstTokenAt ? stream.state.firstTokenAt - startTime : null,
+      reasoning_method: reasoning.label,
+      word_limit: wordLimit,
+      provider: upstream.provider,
+      model: upstream.model,
+      attempts: upstream.attempt_count,
+      fallback_used: upstream.fallback_used,
+      finish_reason: stream.state.finishReason
+    }
+  });
+
+  try {
+    await onComplete({ content, usageEntry, upstream });
+  } catch (error) {
+    console.error('Failed to finish stream bookkeeping:', error.message);
+  }
+  return undefined;
+}
+
+module.exports = {
+  streamChatCompletion
+};
@@ -0,0 +1,48 @@
+// Source lists returned next to a completion
+//
+// Perplexity puts them at the top level of the response (and of every stream
+// chunk), not in tool_calls: `citations` is a list of URLs and newer models
+// add `search_results` with titles and dates. Both are numbered in the order
+// the answer's [n] markers refer to. Sources are normalized to the
+// { number, title, url, snippet } shape the UI already uses for RAG citations.
+// Keep this module free of Node-only imports so the Edge runtime can use it.
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+// Returns the numbered sources in a response or chunk, or null when it has none
+function extractSources(payload) {
+  if (!payload) return null;
+
+  if (Array.isArray(payload.search_results) && payload.search_results.length > 0) {
+    return payload.search_results.map((result, index) => ({
+      number: index + 1,
+      title: result.title || hostnameOf(result.url),
+      url: result.url || '',
+      snippet: result.snippet || result.date || ''
+    }));
+  }
+
+  if (Array.isArray(payload.citations) && payload.citations.length > 0) {
+    return payload.citations.map((citation, index) => {
+      const url = typeof citation === 'string' ? citation : citation.url || '';
+      return {
+        number: index + 1,
+        title: (typeof citation === 'object' && citation.title) || hostnameOf(url),
+        url,
+        snippet: (typeof citation === 'object' && citation.snippet) || ''
+      };
+    });
+  }
+
+  return null;
+}
+
+module.exports = {
+  extractSources
+};
@@ -0,0 +1,82 @@
+// Chain-of-Draft answer parsing and compliance metrics
+//
+// The CoD prompt asks for period-separated draft steps of at most N words,
+// followed by the final answer after a #### separator. parseChainOfDraft
+// checks how well a reply followed that format.
+
+const ANSWER_SEPARATOR = '####';
+
+// DeepSeek R1 wraps its hidden reasoning in <think> tags; it is not part of the draft
+function stripThinkBlocks(content) {
+  return content.replace(/<think>[\s\S]*?(<\/think>|$)/g, '').trim();
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Split on periods that end a sentence, not decimal points like 2.5
+function splitSteps(draft) {
+  return draft
+    .split(/\.(?=\s|$)/)
+    .map(step => step.trim())
+    .filter(Boolean);
+}
+
+function parseChainOfDraft(content, wordLimit = null) {
+  const text = stripThinkBlocks(content || '');
+  const separatorIndex = text.indexOf(ANSWER_SEPARATOR);
+  const hasSeparator = separatorIndex !== -1;
+
+  const draft = hasSeparator ? text.slice(0, separatorIndex) : text;
+  const finalAnswer = hasSeparator ? text.slice(separatorIndex + ANSWER_SEPARATOR.length).trim() : null;
+
+  const steps = splitSteps(draft).map((step, index) => {
+    const wordCount = countWords(step);
+    return {
+      index,
+      text: step,
+      word_count: wordCount,
+      over_limit: wordLimit ? wordCount > wordLimit : false
+    };
+  });
+
+  const overLimitSteps = steps.filter(step => step.over_limit).map(step => step.index);
+  const totalWords = steps.reduce((sum, step) => sum + step.word_count, 0);
+
+  return {
+    word_limit: wordLimit,
+    steps,
+    step_count: steps.length,
+    total_draft_words: totalWords,
+    mean_words_per_step: steps.length ? Number((totalWords / steps.length).toFixed(2)) : 0,
+    over_limit_steps: overLimitSteps,
+    has_answer_separator: hasSeparator,
+    final_answer: finalAnswer,
+    compliant: hasSeparator && overLimitSteps.length === 0
+  };
+}
+
+// Word limit from an explicit request field, else from the CoD system prompt
+function resolveWordLimit(requestBody) {
+  const explicit = parseInt(requestBody && requestBody.cod_word_limit);
+  if (explicit > 0) return explicit;
+
+  const systemMessage = requestBody && Array.isArray(requestBody.messages)
+    && requestBody.messages.find(message => message.role === 'system');
+  const match = systemMessage && typeof systemMessage.content === 'string'
+    && systemMessage.content.match(/\((\d+) words maximum per step\)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Only report CoD metrics when the request asked for drafts or the reply used the format
+function shouldParseDrafts(wordLimit, content) {
+  return wordLimit !== null || (typeof content === 'string' && content.includes(ANSWER_SEPARATOR));
+}
+
+module.exports = {
+  parseChainOfDraft,
+  resolveWordLimit,
+  shouldParseDrafts,
+  stripThinkBlocks
+};
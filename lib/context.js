@@ -0,0 +1,196 @@
+// Context-window management: token estimation and history trimming
+//
+// Long conversations are trimmed before they reach the upstream so they fail
+// soft instead of with an opaque 400. Policies (request `context.policy` or
+// CONTEXT_POLICY):
+//   sliding_window     - keep the newest messages that fit, whatever their role
+//   keep_system_recent - always keep system messages, then the newest turns (default)
+//   summarize          - like keep_system_recent, but dropped turns are replaced
+//                        with an LLM-written summary
+// Keep this module free of Node-only imports so the Edge runtime can use it.
+const { buildChatRequest } = require('./providers');
+const { getModel } = require('./models');
+
+const POLICIES = ['sliding_window', 'keep_system_recent', 'summarize'];
+const DEFAULT_POLICY = 'keep_system_recent';
+
+// Per-message framing tokens added by chat templates
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// Headroom for the estimate being off
+const SAFETY_MARGIN_TOKENS = 256;
+const SUMMARY_MAX_TOKENS = 512;
+
+// Used for unlisted models (ALLOW_UNLISTED_MODELS)
+const DEFAULT_CONTEXT_LENGTH = 32768;
+
+function getContextLength(model) {
+  const entry = getModel(model);
+  return entry ? entry.context_length : DEFAULT_CONTEXT_LENGTH;
+}
+
+// Rough BPE estimate: about four characters per token for English text
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+function estimateMessageTokens(message) {
+  const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+  return estimateTokens(content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+}
+
+// Returns an error message for an invalid context object, or null
+// Chat messages must be { role, content } objects before they are estimated
+// and trimmed. Content is a string or an array of parts; assistant turns that
+// only call tools may leave it null.
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'messages must be a non-empty array of { role, content } objects';
+  }
+  const invalid = messages.findIndex(message => !message || typeof message !== 'object' || Array.isArray(message)
+    || typeof message.role !== 'string' || !message.role
+    || !(typeof message.content === 'string' || Array.isArray(message.content)
+      || (message.content == null && Array.isArray(message.tool_calls))));
+  if (invalid !== -1) {
+    return `messages[${invalid}] must be an object with a role and a string or array content`;
+  }
+  return null;
+}
+
+function validateContextOptions(context) {
+  if (context === undefined || context === null) return null;
+  if (typeof context !== 'object' || Array.isArray(context)) return 'context must be an object like { policy: "sliding_window" }';
+  if (context.policy !== undefined && !POLICIES.includes(context.policy)) {
+    return `Unknown context policy "${context.policy}". Expected one of: ${POLICIES.join(', ')}`;
+  }
+  if (context.max_context_tokens !== undefined && !(parseInt(context.max_context_tokens) > 0)) {
+    return 'context.max_context_tokens must be a positive integer';
+  }
+  return null;
+}
+
+// Newest-first selection of messages that fit in the budget
+function selectRecent(messages, budget) {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateMessageTokens(messages[i]);
+    if (used + tokens > budget) break;
+    kept.unshift(messages[i]);
+    used += tokens;
+  }
+  return kept;
+}
+
+// Trim `messages` to fit the model's context minus the reserved output tokens.
+// `summarize(dropped)` is only called for the summarize policy and should
+// resolve to summary text. Throws with `status = 400` when even the newest
+// message cannot fit.
+async function fitToContext(messages, { model, maxTokens = 0, options, summarize } = {}) {
+  // `context: null` in a request means the defaults, like leaving it out
+  options = options || {};
+  const policy = options.policy || process.env.CONTEXT_POLICY || DEFAULT_POLICY;
+  const contextLength = Math.min(getContextLength(model), parseInt(options.max_context_tokens) || Infinity);
+  const budget = contextLength - maxTokens - SAFETY_MARGIN_TOKENS;
+  const originalTokens = estimateMessagesTokens(messages);
+
+  const stats = {
+    policy,
+    context_length: contextLength,
+    reserved_output_tokens: maxTokens,
+    prompt_tokens_estimate: originalTokens,
+    pruned_messages: 0,
+    pruned_tokens: 0,
+    summarized: false
+  };
+
+  if (originalTokens <= budget) {
+    return { messages, stats };
+  }
+
+  let kept;
+  if (policy === 'sliding_window') {
+    kept = selectRecent(messages, budget);
+  } else {
+    const system = messages.filter(message => message.role === 'system');
+    const rest = messages.filter(message => message.role !== 'system');
+    // Leave room for the summary when we are going to write one
+    const reserve = policy === 'summarize' ? SUMMARY_MAX_TOKENS + MESSAGE_OVERHEAD_TOKENS : 0;
+    const recent = selectRecent(rest, budget - estimateMessagesTokens(system) - reserve);
+    kept = [...system, ...recent];
+  }
+
+  const lastMessage = messages[messages.length - 1];
+  if (kept.length === 0 || kept[kept.length - 1] !== lastMessage) {
+    const error = new Error(`The latest message (~${estimateMessageTokens(lastMessage)} tokens) does not fit in the ${contextLength}-token context of ${model} with ${maxTokens} tokens reserved for the reply. Shorten it or lower max_tokens.`);
+    error.status = 400;
+    throw error;
+  }
+
+  const dropped = messages.filter(message => !kept.includes(message));
+  stats.pruned_messages = dropped.length;
+  stats.pruned_tokens = estimateMessagesTokens(dropped);
+
+  if (policy === 'summarize' && summarize && dropped.length > 0) {
+    try {
+      const summary = await summarize(dropped);
+      if (summary) {
+        const summaryMessage = { role: 'system', content: `Summary of earlier conversation turns that were removed to fit the context window:\n${summary}` };
+        const systemCount = kept.filter(message => message.role === 'system').length;
+        kept = [...kept.slice(0, systemCount), summaryMessage, ...kept.slice(systemCount)];
+        stats.summarized = true;
+      }
+    } catch (error) {
+      // Fall back to plain trimming rather than failing the request
+      console.error('Context summary failed:', error.message);
+    }
+  }
+
+  stats.prompt_tokens_estimate = estimateMessagesTokens(kept);
+  return { messages: kept, stats };
+}
+
+// Summarizer for fitToContext that asks the same provider/model for a summary.
+// `fetchImpl` is node-fetch in Node handlers and the global fetch on the Edge.
+function createSummarizer(fetchImpl, provider, apiKey, model) {
+  return async (dropped) => {
+    // Keep the newest part of the transcript if it would not fit either
+    const maxChars = (getContextLength(model) - SUMMARY_MAX_TOKENS - SAFETY_MARGIN_TOKENS * 2) * 4;
+    const transcript = dropped
+      .map(message => `${message.role.toUpperCase()}: ${message.content}`)
+      .join('\n\n')
+      .slice(-maxChars);
+
+    const { url, options } = buildChatRequest(provider, {
+      model,
+      messages: [
+        { role: 'system', content: 'Summarize the conversation below in a few short bullet points. Keep facts, numbers, decisions and open questions. Do not add commentary.' },
+        { role: 'user', content: transcript }
+      ],
+      max_tokens: SUMMARY_MAX_TOKENS,
+      temperature: 0.2,
+      stream: false
+    }, apiKey);
+
+    const response = await fetchImpl(url, options);
+    if (!response.ok) {
+      throw new Error(`Summary request failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    return data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessagesTokens,
+  getContextLength,
+  validateMessages,
+  validateContextOptions,
+  fitToContext,
+  createSummarizer
+};
@@ -0,0 +1,42 @@
+// JSON-file conversation store, rewritten after every change
+//
+// Vercel functions can only write to /tmp, so that is the default location.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+
+function createFileStore(filePath) {
+  let state = { threads: {} };
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read conversation store at ${filePath}:`, error.message);
+    }
+  }
+
+  const store = createMemoryStore({
+    state,
+    name: 'file',
+    onChange: (current) => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(current));
+    }
+  });
+
+  return {
+    ...store,
+    async ping() {
+      try {
+        fs.accessSync(path.dirname(filePath), fs.constants.W_OK);
+        return { connected: true, path: filePath };
+      } catch (error) {
+        return { connected: false, path: filePath, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFileStore
+};
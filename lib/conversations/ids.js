@@ -0,0 +1,31 @@
+// Thread and message id checks
+//
+// Shared by the conversation store and the chat handlers. Keep this module
+// free of Node-only imports so the Edge runtime can use it.
+
+// Thread and message ids as the UI and newId() make them, e.g. thread-1712345678901-k3x9qa;
+// the leading letter or digit also rules out __proto__
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+
+// Returns an error message for an id that is not a short string of
+// letters, digits, _ and - starting with a letter or digit, or null
+function validateId(id, label = 'id') {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    return `${label} must be 1-128 letters, digits, _ or -, starting with a letter or digit`;
+  }
+  return null;
+}
+
+// Chat requests name their thread with threadId or, as OpenAI clients do,
+// with user; either one must be a valid id when given
+function validateThreadFields(requestBody) {
+  return (requestBody.threadId != null && validateId(requestBody.threadId, 'threadId'))
+    || (requestBody.user != null && validateId(requestBody.user, 'user'))
+    || null;
+}
+
+module.exports = {
+  ID_PATTERN,
+  validateId,
+  validateThreadFields
+};
@@ -0,0 +1,78 @@
+// Conversation persistence behind thread IDs
+//
+// CONVERSATION_STORE selects the backend:
+//   memory  - per-instance, lost on cold start (default without MONGODB_URI)
+//   file    - JSON file at CONVERSATION_STORE_PATH (default: OS temp dir)
+//   mongodb - MONGODB_URI / MONGODB_DB (default when MONGODB_URI is set)
+// Threads belong to the client (lib/access) that created them; other clients
+// cannot read, change or append to them.
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createMongoStore } = require('./mongodb-store');
+const { validateId, validateThreadFields } = require('./ids');
+
+let store = null;
+
+function getConversationStore() {
+  if (store) return store;
+
+  const backend = process.env.CONVERSATION_STORE || (process.env.MONGODB_URI ? 'mongodb' : 'memory');
+
+  if (backend === 'mongodb') {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('Please set MONGODB_URI to use the mongodb conversation store');
+    }
+    store = createMongoStore({
+      uri: process.env.MONGODB_URI,
+      database: process.env.MONGODB_DB || 'llm_playground'
+    });
+  } else if (backend === 'file') {
+    store = createFileStore(process.env.CONVERSATION_STORE_PATH || path.join(os.tmpdir(), 'conversations.json'));
+  } else if (backend === 'memory') {
+    store = createMemoryStore();
+  } else {
+    throw new Error(`Unknown conversation store: ${backend}`);
+  }
+
+  return store;
+}
+
+// False when the thread exists and belongs to another client
+async function canUseThread(threadId, clientId) {
+  const thread = await getConversationStore().getThread(threadId);
+  return !thread || thread.client_id === clientId;
+}
+
+// Reset requests only clear the caller's own thread
+async function resetThread(threadId, clientId) {
+  if (!(await canUseThread(threadId, clientId))) return false;
+  return getConversationStore().clearMessages(threadId);
+}
+
+// Store the newest user turn of a proxied request together with the reply
+async function recordExchange(threadId, requestMessages, replyContent, metadata = {}, clientId = null) {
+  if (!(await canUseThread(threadId, clientId))) {
+    console.log(`Not recording into thread ${threadId}, which belongs to another client`);
+    return [];
+  }
+
+  const lastUser = [...(requestMessages || [])].reverse().find(message => message.role === 'user');
+  const toStore = [];
+  if (lastUser) {
+    toStore.push({ role: 'user', content: lastUser.content });
+  }
+  toStore.push({ role: 'assistant', content: replyContent, metadata });
+
+  return getConversationStore().appendMessages(threadId, toStore, { clientId });
+}
+
+module.exports = {
+  getConversationStore,
+  validateId,
+  validateThreadFields,
+  canUseThread,
+  resetThread,
+  recordExchange
+};
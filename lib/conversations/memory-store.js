@@ -0,0 +1,140 @@
+// In-memory conversation store
+//
+// Also the base for the file store, which passes in loaded state and an
+// onChange hook that persists it after every write.
+const crypto = require('crypto');
+
+function newId(prefix) {
+  return `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function summarize(thread) {
+  const { messages, ...rest } = thread;
+  return { ...rest, message_count: messages.length };
+}
+
+function createMemoryStore({ state = { threads: {} }, onChange = () => {}, name = 'memory' } = {}) {
+  // Without a prototype, ids like __proto__ or constructor are ordinary keys
+  const threads = Object.assign(Object.create(null), state.threads);
+  state.threads = threads;
+
+  function findThread(threadId) {
+    return Object.prototype.hasOwnProperty.call(threads, threadId) ? threads[threadId] : null;
+  }
+
+  function touch(thread) {
+    thread.updated_at = new Date().toISOString();
+    onChange(state);
+  }
+
+  function ensureThread(threadId, clientId = null) {
+    if (!findThread(threadId)) {
+      const now = new Date().toISOString();
+      threads[threadId] = { id: threadId, client_id: clientId, title: null, metadata: {}, created_at: now, updated_at: now, messages: [] };
+    }
+    return threads[threadId];
+  }
+
+  return {
+    name,
+
+    async ping() {
+      return { connected: true };
+    },
+
+    async countThreads() {
+      return Object.keys(threads).length;
+    },
+
+    // `clientId` limits the list to that client's threads
+    async listThreads({ clientId } = {}) {
+      return Object.values(threads)
+        .filter(thread => !clientId || thread.client_id === clientId)
+        .map(summarize)
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    },
+
+    async getThread(threadId) {
+      const thread = findThread(threadId);
+      return thread ? JSON.parse(JSON.stringify(thread)) : null;
+    },
+
+    async createThread({ id, title = null, metadata = {}, clientId = null } = {}) {
+      const threadId = id || newId('thread');
+      if (findThread(threadId)) return null;
+
+      const thread = ensureThread(threadId, clientId);
+      thread.title = title;
+      thread.metadata = metadata;
+      touch(thread);
+      return summarize(thread);
+    },
+
+    async updateThread(threadId, { title, metadata } = {}) {
+      const thread = findThread(threadId);
+      if (!thread) return null;
+
+      if (title !== undefined) thread.title = title;
+      if (metadata !== undefined) thread.metadata = { ...thread.metadata, ...metadata };
+      touch(thread);
+      return summarize(thread);
+    },
+
+    async deleteThread(threadId) {
+      if (!findThread(threadId)) return false;
+      delete threads[threadId];
+      onChange(state);
+      return true;
+    },
+
+    // Appends messages, creating the thread for `clientId` on first use
+    async appendMessages(threadId, messages, { clientId = null } = {}) {
+      const thread = ensureThread(threadId, clientId);
+      const stored = messages.map(message => ({
+        id: message.id || newId('msg'),
+        role: message.role,
+        content: message.content,
+        metadata: message.metadata || {},
+        created_at: message.created_at || new Date().toISOString()
+      }));
+      thread.messages.push(...stored);
+      touch(thread);
+      return stored;
+    },
+
+    async updateMessage(threadId, messageId, { content, metadata } = {}) {
+      const thread = findThread(threadId);
+      const message = thread && thread.messages.find(m => m.id === messageId);
+      if (!message) return null;
+
+      if (content !== undefined) message.content = content;
+      if (metadata !== undefined) message.metadata = { ...message.metadata, ...metadata };
+      touch(thread);
+      return { ...message };
+    },
+
+    async deleteMessage(threadId, messageId) {
+      const thread = findThread(threadId);
+      if (!thread) return false;
+
+      const before = thread.messages.length;
+      thread.messages = thread.messages.filter(m => m.id !== messageId);
+      if (thread.messages.length === before) return false;
+      touch(thread);
+      return true;
+    },
+
+    async clearMessages(threadId) {
+      const thread = findThread(threadId);
+      if (!thread) return false;
+
+      thread.messages = [];
+      touch(thread);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,162 @@
+// MongoDB conversation store
+//
+// One document per thread with its messages embedded. The client is cached at
+// module scope so warm serverless invocations reuse the connection.
+const crypto = require('crypto');
+
+let clientPromise = null;
+
+function newId(prefix) {
+  return `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function getClient(uri) {
+  if (!clientPromise) {
+    // Required lazily so the other backends work without the driver installed
+    const { MongoClient } = require('mongodb');
+    clientPromise = new MongoClient(uri, { serverSelectionTimeoutMS: 5000 }).connect()
+      .catch(error => {
+        clientPromise = null;
+        throw error;
+      });
+  }
+  return clientPromise;
+}
+
+function toThread(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+function toSummary(doc) {
+  const { messages, ...thread } = toThread(doc);
+  return { ...thread, message_count: messages ? messages.length : doc.message_count || 0 };
+}
+
+function createMongoStore({ uri, database }) {
+  async function threads() {
+    const client = await getClient(uri);
+    return client.db(database).collection('threads');
+  }
+
+  return {
+    name: 'mongodb',
+
+    async ping() {
+      const client = await getClient(uri);
+      await client.db(database).command({ ping: 1 });
+      return { connected: true, database };
+    },
+
+    async countThreads() {
+      return (await threads()).countDocuments();
+    },
+
+    // `clientId` limits the list to that client's threads
+    async listThreads({ clientId } = {}) {
+      const docs = await (await threads())
+        .aggregate([
+          { $match: clientId ? { client_id: clientId } : {} },
+          { $sort: { updated_at: -1 } },
+          { $project: { client_id: 1, title: 1, metadata: 1, created_at: 1, updated_at: 1, message_count: { $size: '$messages' } } }
+        ])
+        .toArray();
+      return docs.map(toSummary);
+    },
+
+    async getThread(threadId) {
+      return toThread(await (await threads()).findOne({ _id: threadId }));
+    },
+
+    async createThread({ id, title = null, metadata = {}, clientId = null } = {}) {
+      const now = new Date().toISOString();
+      const doc = { _id: id || newId('thread'), client_id: clientId, title, metadata, created_at: now, updated_at: now, messages: [] };
+      try {
+        await (await threads()).insertOne(doc);
+      } catch (error) {
+        if (error.code === 11000) return null; // duplicate id
+        throw error;
+      }
+      return toSummary(doc);
+    },
+
+    async updateThread(threadId, { title, metadata } = {}) {
+      const set = { updated_at: new Date().toISOString() };
+      if (title !== undefined) set.title = title;
+      if (metadata !== undefined) {
+        Object.keys(metadata).forEach(key => { set[`metadata.${key}`] = metadata[key]; });
+      }
+
+      const result = await (await threads()).findOneAndUpdate(
+        { _id: threadId },
+        { $set: set },
+        { returnDocument: 'after', includeResultMetadata: false }
+      );
+      return result ? toSummary(result) : null;
+    },
+
+    async deleteThread(threadId) {
+      const result = await (await threads()).deleteOne({ _id: threadId });
+      return result.deletedCount > 0;
+    },
+
+    async appendMessages(threadId, messages, { clientId = null } = {}) {
+      const now = new Date().toISOString();
+      const stored = messages.map(message => ({
+        id: message.id || newId('msg'),
+        role: message.role,
+        content: message.content,
+        metadata: message.metadata || {},
+        created_at: message.created_at || now
+      }));
+
+      await (await threads()).updateOne(
+        { _id: threadId },
+        {
+          $push: { messages: { $each: stored } },
+          $set: { updated_at: now },
+          $setOnInsert: { client_id: clientId, title: null, metadata: {}, created_at: now }
+        },
+        { upsert: true }
+      );
+      return stored;
+    },
+
+    async updateMessage(threadId, messageId, { content, metadata } = {}) {
+      const set = { updated_at: new Date().toISOString() };
+      if (content !== undefined) set['messages.$.content'] = content;
+      if (metadata !== undefined) {
+        Object.keys(metadata).forEach(key => { set[`messages.$.metadata.${key}`] = metadata[key]; });
+      }
+
+      const result = await (await threads()).findOneAndUpdate(
+        { _id: threadId, 'messages.id': messageId },
+        { $set: set },
+        { returnDocument: 'after', includeResultMetadata: false }
+      );
+      return result ? result.messages.find(m => m.id === messageId) : null;
+    },
+
+    async deleteMessage(threadId, messageId) {
+      const result = await (await threads()).updateOne(
+        { _id: threadId, 'messages.id': messageId },
+        { $pull: { messages: { id: messageId } }, $set: { updated_at: new Date().toISOString() } }
+      );
+      return result.modifiedCount > 0;
+    },
+
+    async clearMessages(threadId) {
+      const result = await (await threads()).updateOne(
+        { _id: threadId },
+        { $set: { messages: [], updated_at: new Date().toISOString() } }
+      );
+      return result.matchedCount > 0;
+    }
+  };
+}
+
+module.exports = {
+  createMongoStore,
+  getClient
+};
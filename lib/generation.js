@@ -0,0 +1,137 @@
+// Generation parameters shared by every chat handler
+//
+// GENERATION_PARAMETERS is the full set of sampling options clients may send
+// next to model and messages. Handlers reject requests that break the schema
+// or use an option the requested model does not support (`parameters` in
+// lib/models.js). buildChatRequest then fits the options to each model a
+// request goes to, fallbacks included: values are clamped to the model's
+// range like max_tokens, and options it does not support are dropped.
+// Keep this module free of Node-only imports so the Edge runtime can use it.
+const { getModel } = require('./models');
+
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_LENGTH = 100;
+const RESPONSE_FORMATS = ['text', 'json_object', 'json_schema'];
+
+const GENERATION_PARAMETERS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 0, max: 100 },
+  presence_penalty: { type: 'number', min: -2, max: 2 },
+  frequency_penalty: { type: 'number', min: -2, max: 2 },
+  stop: { type: 'stop' },
+  seed: { type: 'integer', min: 0, max: 2147483647 },
+  n: { type: 'integer', min: 1, max: 8 },
+  logprobs: { type: 'boolean' },
+  top_logprobs: { type: 'integer', min: 0, max: 5 },
+  response_format: { type: 'response_format' }
+};
+
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+// The schema with the model's overrides applied; null marks an unsupported option
+function parameterBounds(modelId) {
+  const model = getModel(modelId);
+  const overrides = (model && model.parameters) || {};
+  const bounds = {};
+  Object.entries(GENERATION_PARAMETERS).forEach(([name, schema]) => {
+    bounds[name] = overrides[name] === null ? null : { ...schema, ...overrides[name] };
+  });
+  return bounds;
+}
+
+function validateValue(name, value, schema) {
+  if (schema.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${name} must be true or false`;
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    const valid = typeof value === 'number' && Number.isFinite(value)
+      && (schema.type === 'number' || Number.isInteger(value));
+    if (!valid || value < schema.min || value > schema.max) {
+      return `${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'} between ${schema.min} and ${schema.max}`;
+    }
+    return null;
+  }
+
+  if (schema.type === 'stop') {
+    const sequences = typeof value === 'string' ? [value] : value;
+    const valid = Array.isArray(sequences) && sequences.length <= MAX_STOP_SEQUENCES
+      && sequences.every(sequence => typeof sequence === 'string' && sequence.length > 0 && sequence.length <= MAX_STOP_LENGTH);
+    return valid ? null : `stop must be a string or an array of up to ${MAX_STOP_SEQUENCES} non-empty strings of at most ${MAX_STOP_LENGTH} characters`;
+  }
+
+  // response_format
+  if (!value || typeof value !== 'object' || !RESPONSE_FORMATS.includes(value.type)) {
+    return `response_format must be an object like { "type": "json_object" } with type one of: ${RESPONSE_FORMATS.join(', ')}`;
+  }
+  if (value.type === 'json_schema' && !(value.json_schema && typeof value.json_schema === 'object'
+    && value.json_schema.schema && typeof value.json_schema.schema === 'object')) {
+    return 'response_format json_schema needs json_schema: { name, schema }';
+  }
+  return null;
+}
+
+// Returns an error message for invalid generation options, or null.
+// `stream` is whether the handler will stream the reply.
+function validateGenerationParams(requestBody, { model, stream = false } = {}) {
+  const bounds = parameterBounds(model);
+
+  for (const [name, schema] of Object.entries(GENERATION_PARAMETERS)) {
+    const value = requestBody[name];
+    if (!isSet(value)) continue;
+    const error = validateValue(name, value, schema);
+    if (error) return error;
+    if (bounds[name] === null) return `Model "${model}" does not support ${name}`;
+  }
+
+  if (isSet(requestBody.top_logprobs) && requestBody.logprobs !== true) {
+    return 'top_logprobs needs logprobs: true';
+  }
+  // A stream carries a single completion
+  if (stream && requestBody.n > 1) {
+    return 'n greater than 1 needs stream: false';
+  }
+  return null;
+}
+
+// The generation options set in a request body
+function pickGenerationParams(requestBody) {
+  const params = {};
+  Object.keys(GENERATION_PARAMETERS).forEach(name => {
+    if (isSet(requestBody[name])) params[name] = requestBody[name];
+  });
+  return params;
+}
+
+// Fit a validated body to `body.model`: clamp to its ranges and drop what it does not support
+function boundGenerationParams(requestBody) {
+  const bounds = parameterBounds(requestBody.model);
+  const body = { ...requestBody };
+
+  Object.keys(GENERATION_PARAMETERS).forEach(name => {
+    if (!isSet(body[name])) return;
+    const schema = bounds[name];
+    if (schema === null) {
+      console.log(`Dropping ${name}, which ${requestBody.model} does not support`);
+      delete body[name];
+    } else if (typeof body[name] === 'number' && schema.min !== undefined) {
+      const clamped = Math.min(Math.max(body[name], schema.min), schema.max);
+      if (clamped !== body[name]) {
+        console.log(`Adjusted ${name} from ${body[name]} to ${clamped} for ${requestBody.model}`);
+        body[name] = clamped;
+      }
+    }
+  });
+  return body;
+}
+
+module.exports = {
+  GENERATION_PARAMETERS,
+  parameterBounds,
+  validateGenerationParams,
+  pickGenerationParams,
+  boundGenerationParams
+};
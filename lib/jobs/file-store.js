@@ -0,0 +1,54 @@
+// JSON-file job store, rewritten after every change
+//
+// Vercel functions can only write to /tmp, so that is the default location.
+// Reads go back to the file so a job started by one local process can be
+// followed from another.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+
+function readState(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read job store at ${filePath}:`, error.message);
+    }
+    return { jobs: [] };
+  }
+}
+
+function createFileStore(filePath) {
+  function load() {
+    return createMemoryStore({
+      state: readState(filePath),
+      name: 'file',
+      onChange: (current) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(current));
+      }
+    });
+  }
+
+  return {
+    name: 'file',
+
+    async ping() {
+      try {
+        fs.accessSync(path.dirname(filePath), fs.constants.W_OK);
+        return { connected: true, path: filePath };
+      } catch (error) {
+        return { connected: false, path: filePath, error: error.message };
+      }
+    },
+
+    create: (job) => load().create(job),
+    get: (jobId) => load().get(jobId),
+    update: (jobId, changes, options) => load().update(jobId, changes, options),
+    list: (filter) => load().list(filter)
+  };
+}
+
+module.exports = {
+  createFileStore
+};
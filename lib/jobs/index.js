@@ -0,0 +1,236 @@
+// Background jobs for work that outlives one HTTP request (research runs)
+//
+// JOB_STORE selects where job records live:
+//   memory  - per-instance, lost on cold start (default without MONGODB_URI)
+//   file    - JSON file at JOB_STORE_PATH (default: OS temp dir)
+//   mongodb - MONGODB_URI / MONGODB_DB (default when MONGODB_URI is set)
+// A job runs in the instance that accepted it; on Vercel, waitUntil() from
+// @vercel/functions keeps that function alive until the job settles, but no
+// longer than its maxDuration (FUNCTION_MAX_DURATION_S, matching vercel.json),
+// so job timeouts are capped at that. Reads and cancellations go through the
+// store, so with a shared store any instance can report on a job; on Vercel
+// the memory store is only used when JOB_STORE names it. A queued or running
+// job that has not been touched for JOB_STALE_MS (its instance was shut down)
+// is marked failed when next read.
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { waitUntil } = require('@vercel/functions');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createMongoStore } = require('./mongodb-store');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const HEARTBEAT_MS = 10000;
+const DEFAULT_STALE_MS = 60000;
+const DEFAULT_FUNCTION_MAX_DURATION_S = 300;
+// Left at the end of maxDuration for recording the timeout
+const SHUTDOWN_MARGIN_MS = 5000;
+
+let store = null;
+
+// Abort controllers of the jobs running in this instance
+const runners = new Map();
+
+function getJobStore() {
+  if (store) return store;
+
+  const backend = process.env.JOB_STORE || (process.env.MONGODB_URI ? 'mongodb' : 'memory');
+
+  if (backend === 'mongodb') {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('Please set MONGODB_URI to use the mongodb job store');
+    }
+    store = createMongoStore({
+      uri: process.env.MONGODB_URI,
+      database: process.env.MONGODB_DB || 'llm_playground'
+    });
+  } else if (backend === 'file') {
+    store = createFileStore(process.env.JOB_STORE_PATH || path.join(os.tmpdir(), 'jobs.json'));
+  } else if (backend === 'memory') {
+    store = createMemoryStore();
+  } else {
+    throw new Error(`Unknown job store: ${backend}`);
+  }
+
+  return store;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function staleMs() {
+  return parseInt(process.env.JOB_STALE_MS) || DEFAULT_STALE_MS;
+}
+
+function isFinished(job) {
+  return !ACTIVE_STATUSES.includes(job.status);
+}
+
+// Returns an error message when jobs cannot be tracked across instances, or null.
+// Each request may reach another Vercel instance, and an in-memory job is
+// unknown there (404), so a shared store is required unless JOB_STORE opts out.
+function jobStoreError() {
+  if (process.env.VERCEL && !process.env.JOB_STORE && !process.env.MONGODB_URI) {
+    return 'Background jobs need a job store shared by all instances: set MONGODB_URI, or JOB_STORE=memory to accept that jobs are only visible to the instance running them';
+  }
+  return null;
+}
+
+// How long a job may run before the platform stops its function
+function maxJobMs() {
+  if (!process.env.VERCEL) return Infinity;
+  const seconds = parseInt(process.env.FUNCTION_MAX_DURATION_S) || DEFAULT_FUNCTION_MAX_DURATION_S;
+  return Math.max(seconds * 1000 - SHUTDOWN_MARGIN_MS, SHUTDOWN_MARGIN_MS);
+}
+
+// Status updates must not take the job down with them
+async function safeUpdate(jobId, changes) {
+  try {
+    return await getJobStore().update(jobId, { ...changes, updated_at: now() }, { statuses: ACTIVE_STATUSES });
+  } catch (error) {
+    console.error(`Failed to update job ${jobId}:`, error.message);
+    return null;
+  }
+}
+
+async function runJob(job, controller, run, timeoutMs) {
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  // Keeps the job from looking stale and picks up cancellations made
+  // through another instance
+  const heartbeatId = setInterval(async () => {
+    const touched = await safeUpdate(job.id, {});
+    if (!touched) controller.abort();
+  }, HEARTBEAT_MS);
+
+  try {
+    const started = await safeUpdate(job.id, {
+      status: 'running',
+      started_at: now(),
+      progress: { stage: 'running', message: 'Started' }
+    });
+    if (!started) return;
+
+    const progress = (stage, message) => safeUpdate(job.id, { progress: { stage, message } });
+    const result = await run({ input: job.input, signal: controller.signal, progress });
+
+    await safeUpdate(job.id, {
+      status: 'succeeded',
+      result,
+      finished_at: now(),
+      progress: { stage: 'done', message: 'Finished' }
+    });
+    console.log(`Job ${job.id} succeeded`);
+  } catch (error) {
+    // A cancelled job already has its final status
+    if (controller.signal.aborted && !timedOut) return;
+
+    console.error(`Job ${job.id} failed:`, error.message);
+    await safeUpdate(job.id, {
+      status: 'failed',
+      error: {
+        message: timedOut ? `The job did not finish within ${Math.round(timeoutMs / 1000)} seconds` : error.message,
+        status: timedOut ? 504 : error.status || null,
+        details: error.details || null
+      },
+      finished_at: now(),
+      progress: { stage: 'failed', message: timedOut ? 'Timed out' : 'Failed' }
+    });
+  } finally {
+    clearTimeout(timeoutId);
+    clearInterval(heartbeatId);
+  }
+}
+
+// Store a new job and start `run({ input, signal, progress })` without
+// waiting for it. Whatever run resolves to is stored as the job's result;
+// progress(stage, message) records how far it got.
+async function startJob({ type, input, clientId, timeoutMs, run }) {
+  if (timeoutMs > maxJobMs()) {
+    console.log(`Job timeout of ${timeoutMs}ms is longer than the function may run; using ${maxJobMs()}ms`);
+    timeoutMs = maxJobMs();
+  }
+
+  const createdAt = now();
+  const job = await getJobStore().create({
+    id: `job-${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    status: 'queued',
+    progress: { stage: 'queued', message: 'Waiting to start' },
+    input,
+    result: null,
+    error: null,
+    client_id: clientId || null,
+    created_at: createdAt,
+    updated_at: createdAt,
+    started_at: null,
+    finished_at: null
+  });
+
+  const controller = new AbortController();
+  runners.set(job.id, controller);
+  const work = runJob(job, controller, run, timeoutMs)
+    .catch(error => console.error(`Job ${job.id} crashed:`, error.message))
+    .finally(() => runners.delete(job.id));
+  // Outside Vercel the process simply keeps running
+  waitUntil(work);
+
+  return job;
+}
+
+async function getJob(jobId) {
+  const job = await getJobStore().get(jobId);
+  if (!job || isFinished(job) || runners.has(jobId)) return job;
+  if (Date.now() - Date.parse(job.updated_at) <= staleMs()) return job;
+
+  const failed = await safeUpdate(jobId, {
+    status: 'failed',
+    error: { message: 'The job stopped reporting progress, most likely because its server instance shut down. Please submit it again.', status: null, details: null },
+    finished_at: now(),
+    progress: { stage: 'failed', message: 'Interrupted' }
+  });
+  return failed || getJobStore().get(jobId);
+}
+
+async function listJobs(filter = {}) {
+  return getJobStore().list(filter);
+}
+
+// Resolves to the job as it is after the request; finished jobs are
+// returned unchanged
+async function cancelJob(jobId) {
+  const cancelled = await safeUpdate(jobId, {
+    status: 'cancelled',
+    finished_at: now(),
+    progress: { stage: 'cancelled', message: 'Cancelled' }
+  });
+
+  const controller = runners.get(jobId);
+  if (controller) controller.abort();
+
+  return cancelled || getJobStore().get(jobId);
+}
+
+// What clients see: the owner is implied by who asks
+function publicJob(job) {
+  const { client_id, ...rest } = job;
+  const end = job.finished_at ? Date.parse(job.finished_at) : Date.now();
+  return { ...rest, elapsed_ms: end - Date.parse(job.created_at) };
+}
+
+module.exports = {
+  getJobStore,
+  jobStoreError,
+  startJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  publicJob,
+  isFinished
+};
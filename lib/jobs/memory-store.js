@@ -0,0 +1,62 @@
+// In-memory job store
+//
+// Also the base for the file store, which passes in loaded state and an
+// onChange hook that persists it after every write.
+const MAX_JOBS = 500;
+
+function matches(job, filter) {
+  if (filter.type && job.type !== filter.type) return false;
+  if (filter.client_id && job.client_id !== filter.client_id) return false;
+  return true;
+}
+
+function createMemoryStore({ state = { jobs: [] }, onChange = () => {}, name = 'memory' } = {}) {
+  function find(jobId) {
+    return state.jobs.find(job => job.id === jobId) || null;
+  }
+
+  return {
+    name,
+
+    async ping() {
+      return { connected: true };
+    },
+
+    async create(job) {
+      state.jobs.push({ ...job });
+      // Oldest jobs go first so /tmp and memory stay bounded
+      if (state.jobs.length > MAX_JOBS) {
+        state.jobs.splice(0, state.jobs.length - MAX_JOBS);
+      }
+      onChange(state);
+      return { ...job };
+    },
+
+    async get(jobId) {
+      const job = find(jobId);
+      return job ? { ...job } : null;
+    },
+
+    // `statuses` limits the update to jobs currently in one of them, so a
+    // finishing runner cannot overwrite a cancellation
+    async update(jobId, changes, { statuses } = {}) {
+      const job = find(jobId);
+      if (!job || (statuses && !statuses.includes(job.status))) return null;
+      Object.assign(job, changes);
+      onChange(state);
+      return { ...job };
+    },
+
+    async list(filter = {}) {
+      return state.jobs
+        .filter(job => matches(job, filter))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, filter.limit || MAX_JOBS)
+        .map(job => ({ ...job }));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,70 @@
+// MongoDB job store
+//
+// One document per job in the `jobs` collection, keyed by job id. Shares the
+// cached client with the conversation store.
+const { getClient } = require('../conversations/mongodb-store');
+
+const MAX_LIST = 500;
+
+function toJob(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+function createMongoStore({ uri, database }) {
+  async function jobs() {
+    const client = await getClient(uri);
+    return client.db(database).collection('jobs');
+  }
+
+  return {
+    name: 'mongodb',
+
+    async ping() {
+      const client = await getClient(uri);
+      await client.db(database).command({ ping: 1 });
+      return { connected: true, database };
+    },
+
+    async create(job) {
+      const { id, ...rest } = job;
+      await (await jobs()).insertOne({ _id: id, ...rest });
+      return { ...job };
+    },
+
+    async get(jobId) {
+      return toJob(await (await jobs()).findOne({ _id: jobId }));
+    },
+
+    // `statuses` limits the update to jobs currently in one of them, so a
+    // finishing runner cannot overwrite a cancellation
+    async update(jobId, changes, { statuses } = {}) {
+      const query = { _id: jobId };
+      if (statuses) query.status = { $in: statuses };
+      const result = await (await jobs()).findOneAndUpdate(
+        query,
+        { $set: changes },
+        { returnDocument: 'after', includeResultMetadata: false }
+      );
+      return toJob(result);
+    },
+
+    async list(filter = {}) {
+      const query = {};
+      ['type', 'client_id'].forEach(key => {
+        if (filter[key]) query[key] = filter[key];
+      });
+      const docs = await (await jobs())
+        .find(query)
+        .sort({ created_at: -1 })
+        .limit(filter.limit || MAX_LIST)
+        .toArray();
+      return docs.map(toJob);
+    }
+  };
+}
+
+module.exports = {
+  createMongoStore
+};
@@ -0,0 +1,137 @@
+// Model capability catalog
+//
+// Single source of truth for context length, output limits, capabilities,
+// generation parameter bounds and pricing. Served at GET /api/models for the settings modal and used by the
+// chat handlers to validate requests. Prices are USD per million tokens.
+// Keep this module free of Node-only imports so the Edge runtime can use it.
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+// Perplexity's temperature range excludes 2, and it has no top_k, n, logprobs or seed.
+// Models list `parameters` overrides of the lib/generation.js schema; null means unsupported.
+const PERPLEXITY_PARAMETERS = { temperature: { max: 1.99 }, top_k: null, n: null, logprobs: null, top_logprobs: null, seed: null };
+
+const MODELS = [
+  {
+    id: 'accounts/fireworks/models/deepseek-v3',
+    name: 'DeepSeek V3',
+    provider: 'fireworks',
+    context_length: 131072,
+    max_output_tokens: 8192,
+    supports: { streaming: true, vision: false, tools: true },
+    pricing: { input_per_million: 0.9, output_per_million: 0.9 }
+  },
+  {
+    id: 'accounts/fireworks/models/deepseek-r1',
+    name: 'DeepSeek R1 (Reasoner)',
+    provider: 'fireworks',
+    context_length: 163840,
+    max_output_tokens: 32768,
+    supports: { streaming: true, vision: false, tools: false },
+    pricing: { input_per_million: 3.0, output_per_million: 8.0 },
+    // Tried in order when this model keeps failing (see lib/retry.js)
+    fallbacks: ['accounts/fireworks/models/deepseek-v3']
+  },
+  {
+    id: 'sonar',
+    name: 'Perplexity Sonar',
+    provider: 'perplexity',
+    context_length: 127072,
+    max_output_tokens: 8192,
+    supports: { streaming: true, vision: false, tools: false },
+    parameters: PERPLEXITY_PARAMETERS,
+    pricing: { input_per_million: 1.0, output_per_million: 1.0 }
+  },
+  {
+    id: 'sonar-pro',
+    name: 'Perplexity Sonar Pro',
+    provider: 'perplexity',
+    context_length: 200000,
+    max_output_tokens: 8192,
+    supports: { streaming: true, vision: false, tools: false },
+    parameters: PERPLEXITY_PARAMETERS,
+    pricing: { input_per_million: 3.0, output_per_million: 15.0 }
+  },
+  {
+    id: 'sonar-reasoning',
+    name: 'Perplexity Sonar Reasoning',
+    provider: 'perplexity',
+    context_length: 127072,
+    max_output_tokens: 8192,
+    supports: { streaming: true, vision: false, tools: false },
+    parameters: PERPLEXITY_PARAMETERS,
+    pricing: { input_per_million: 1.0, output_per_million: 5.0 }
+  }
+];
+
+// Models served by LOCAL_LLM_BASE_URL, e.g. LOCAL_LLM_MODELS=llama3.1,qwen2.5
+function localModels() {
+  return (process.env.LOCAL_LLM_MODELS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => localModel(`local/${name}`));
+}
+
+function localModel(id) {
+  return {
+    id,
+    name: `${id.replace(/^local\//, '')} (local)`,
+    provider: 'local',
+    context_length: parseInt(process.env.LOCAL_LLM_CONTEXT_LENGTH) || 8192,
+    max_output_tokens: parseInt(process.env.LOCAL_LLM_MAX_OUTPUT_TOKENS) || 4096,
+    supports: { streaming: true, vision: false, tools: false },
+    pricing: { input_per_million: 0, output_per_million: 0 }
+  };
+}
+
+function listModels() {
+  return MODELS.concat(localModels());
+}
+
+// Any local/ id is accepted, so it gets a default entry even when not listed
+function getModel(id) {
+  const modelId = (id || '').replace(/^perplexity\//, '');
+  const listed = listModels().find(model => model.id === modelId);
+  if (listed) return listed;
+  return modelId.startsWith('local/') ? localModel(modelId) : null;
+}
+
+// Returns an error message for a model/feature combination we cannot serve, or null
+function validateModel(id, { stream = false } = {}) {
+  if (!id) return 'Missing required parameter: model';
+
+  const model = getModel(id);
+  if (!model) {
+    if (process.env.ALLOW_UNLISTED_MODELS === 'true') return null;
+    return `Unknown model "${id}". See GET /api/models for the available models.`;
+  }
+  if (stream && !model.supports.streaming) {
+    return `Model "${id}" does not support streaming`;
+  }
+  return null;
+}
+
+// Clamp max_tokens to what the model can produce
+function clampMaxTokens(id, requested) {
+  const model = getModel(id);
+  const limit = model ? model.max_output_tokens : 8192;
+  const value = parseInt(requested) || Math.min(DEFAULT_MAX_TOKENS, limit);
+  return Math.min(Math.max(1, value), limit);
+}
+
+// Estimated USD cost of a completion; null for models not in the catalog
+function estimateCost(id, promptTokens, completionTokens) {
+  const model = getModel(id);
+  if (!model) return null;
+  const cost = (promptTokens * model.pricing.input_per_million + completionTokens * model.pricing.output_per_million) / 1e6;
+  return Number(cost.toFixed(6));
+}
+
+module.exports = {
+  listModels,
+  getModel,
+  validateModel,
+  clampMaxTokens,
+  estimateCost
+};
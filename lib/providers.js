@@ -0,0 +1,148 @@
+// Provider registry for chat completion upstreams
+//
+// Every chat handler (proxy, api-proxy, streaming, streaming-edge) resolves the
+// upstream from the requested model name instead of hardcoding Fireworks.
+// This module must stay free of Node-only imports so the Edge runtime can use it.
+const { extractSources } = require('./citations');
+const { boundGenerationParams } = require('./generation');
+
+// Request fields that only mean something to our handlers
+const CLIENT_ONLY_KEYS = ['threadId', 'reasoning', 'cod_word_limit', 'context', 'fallback_models', 'server_tools'];
+
+// Strip keys the upstream would reject and drop undefined/null values
+function pickDefined(body, blockedKeys) {
+  const cleaned = {};
+  Object.keys(body).forEach(key => {
+    if (CLIENT_ONLY_KEYS.includes(key) || blockedKeys.includes(key)) return;
+    if (body[key] === undefined || body[key] === null) return;
+    cleaned[key] = body[key];
+  });
+  return cleaned;
+}
+
+// Perplexity wants system messages first, then strictly alternating
+// user/assistant turns starting with a user turn. Trimmed or augmented
+// histories do not always look like that, so merge neighbours of the same
+// role and drop assistant turns left at the start.
+function alternateTurns(messages) {
+  if (!Array.isArray(messages)) return messages;
+  const system = messages.filter(message => message.role === 'system');
+  const turns = [];
+  messages.filter(message => message.role !== 'system').forEach(message => {
+    const previous = turns[turns.length - 1];
+    if (!previous && message.role !== 'user') return;
+    if (previous && previous.role === message.role) {
+      turns[turns.length - 1] = { ...previous, content: `${previous.content}\n\n${message.content}` };
+      return;
+    }
+    turns.push(message);
+  });
+  return [...system, ...turns];
+}
+
+const PROVIDERS = {
+  fireworks: {
+    name: 'fireworks',
+    label: 'Fireworks.ai',
+    baseUrl: 'https://api.fireworks.ai/inference/v1',
+    apiKeyEnv: 'FIREWORKS_API_KEY',
+    requiresApiKey: true,
+    // Fireworks model ids look like accounts/fireworks/models/deepseek-v3
+    matches: (model) => model.startsWith('accounts/'),
+    toUpstreamModel: (model) => model,
+    // Ask for a usage block on the final stream chunk
+    streamOptions: { include_usage: true },
+    adaptRequest: (body) => pickDefined(body, []),
+    adaptResponse: (data) => data
+  },
+
+  perplexity: {
+    name: 'perplexity',
+    label: 'Perplexity',
+    baseUrl: 'https://api.perplexity.ai',
+    apiKeyEnv: 'PERPLEXITY_API_KEY',
+    requiresApiKey: true,
+    // Accept both bare sonar ids and a perplexity/ prefix
+    matches: (model) => model.startsWith('perplexity/') || /^sonar(-|$)/.test(model),
+    toUpstreamModel: (model) => model.replace(/^perplexity\//, ''),
+    // Perplexity rejects the OpenAI `user` field and Fireworks-only options
+    adaptRequest: (body) => pickDefined({ ...body, messages: alternateTurns(body.messages) }, ['user', 'top_k', 'n', 'logprobs']),
+    // Numbered sources for the answer's [n] markers
+    adaptResponse: (data) => {
+      const sources = extractSources(data);
+      return sources ? { ...data, sources } : data;
+    }
+  },
+
+  local: {
+    name: 'local',
+    label: 'OpenAI-compatible',
+    // Any OpenAI-compatible server, e.g. llama.cpp (:8080/v1) or Ollama (:11434/v1)
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:8080/v1',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    requiresApiKey: false,
+    matches: (model) => model.startsWith('local/'),
+    toUpstreamModel: (model) => model.replace(/^local\//, ''),
+    streamOptions: { include_usage: true },
+    adaptRequest: (body) => pickDefined(body, []),
+    adaptResponse: (data) => data
+  }
+};
+
+const DEFAULT_PROVIDER = 'fireworks';
+
+// Pick the provider for a model id, falling back to Fireworks for unknown ids
+function resolveProvider(model) {
+  const modelName = model || '';
+  const match = Object.values(PROVIDERS).find(provider => provider.matches(modelName));
+  return match || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+function getApiKey(provider) {
+  return provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : undefined;
+}
+
+// Build the fetch() arguments for a chat completion against the provider.
+// Sampling options are fitted to the model first, since fallbacks may differ.
+function buildChatRequest(provider, requestBody, apiKey) {
+  const bounded = boundGenerationParams(requestBody);
+  const body = provider.adaptRequest({
+    ...bounded,
+    model: provider.toUpstreamModel(requestBody.model || '')
+  });
+  // Perplexity sends usage on stream chunks without being asked
+  if (body.stream && provider.streamOptions) {
+    body.stream_options = provider.streamOptions;
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  return {
+    url: `${provider.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+    options: {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    }
+  };
+}
+
+// Map the upstream JSON back onto the model id the client asked for
+function adaptChatResponse(provider, data, requestedModel) {
+  const adapted = provider.adaptResponse(data);
+  if (adapted && requestedModel) {
+    adapted.model = requestedModel;
+  }
+  return adapted;
+}
+
+module.exports = {
+  PROVIDERS,
+  resolveProvider,
+  getApiKey,
+  buildChatRequest,
+  adaptChatResponse
+};
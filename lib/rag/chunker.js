@@ -0,0 +1,68 @@
+// Splits text/markdown documents into overlapping chunks for embedding
+//
+// Markdown headings start a new section so chunks never straddle two topics;
+// each chunk keeps the heading it came from for citations.
+
+const DEFAULT_CHUNK_WORDS = 200;
+const DEFAULT_OVERLAP_WORDS = 40;
+
+// Break a markdown document into { heading, text } sections
+function splitSections(content, format) {
+  if (format !== 'markdown') {
+    return [{ heading: null, text: content }];
+  }
+
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  content.split(/\r?\n/).forEach(line => {
+    const headingMatch = line.match(/^#{1,6}\s+(.*)$/);
+    if (headingMatch) {
+      if (current.lines.join('').trim()) {
+        sections.push({ heading: current.heading, text: current.lines.join('\n') });
+      }
+      current = { heading: headingMatch[1].trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+
+  if (current.lines.join('').trim()) {
+    sections.push({ heading: current.heading, text: current.lines.join('\n') });
+  }
+
+  return sections;
+}
+
+function chunkDocument(content, options = {}) {
+  const format = options.format || 'text';
+  const chunkWords = Math.max(20, options.chunkWords || DEFAULT_CHUNK_WORDS);
+  const overlapWords = Math.min(Math.max(0, options.overlapWords ?? DEFAULT_OVERLAP_WORDS), chunkWords - 1);
+  const step = chunkWords - overlapWords;
+
+  const chunks = [];
+  splitSections(content, format).forEach(section => {
+    const words = section.text.split(/\s+/).filter(Boolean);
+
+    for (let start = 0; start < words.length; start += step) {
+      chunks.push({
+        heading: section.heading,
+        text: words.slice(start, start + chunkWords).join(' ')
+      });
+      if (start + chunkWords >= words.length) break;
+    }
+  });
+
+  return chunks.map((chunk, index) => ({ ...chunk, index }));
+}
+
+// Guess the format from a filename when the client does not send one
+function detectFormat(filename, format) {
+  if (format === 'markdown' || format === 'text') return format;
+  return /\.(md|markdown)$/i.test(filename || '') ? 'markdown' : 'text';
+}
+
+module.exports = {
+  chunkDocument,
+  detectFormat
+};
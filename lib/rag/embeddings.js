@@ -0,0 +1,92 @@
+// Pluggable embeddings backends for the RAG subsystem
+//
+// RAG_EMBEDDINGS_BACKEND selects the backend:
+//   fireworks - Fireworks.ai embeddings API (needs FIREWORKS_API_KEY)
+//   local     - deterministic feature-hashing stand-in, no network needed
+const fetch = require('node-fetch');
+
+const LOCAL_DIMENSIONS = 384;
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+// 32-bit FNV-1a hash, stable across runs and platforms
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+const BACKENDS = {
+  local: {
+    name: 'local',
+    model: 'feature-hashing-v1',
+    dimensions: LOCAL_DIMENSIONS,
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+        const tokens = tokenize(text);
+        // Unigrams plus bigrams so word order carries a little signal
+        const features = tokens.concat(tokens.slice(1).map((token, i) => `${tokens[i]}_${token}`));
+        features.forEach(feature => {
+          const hash = hashToken(feature);
+          vector[hash % LOCAL_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+        });
+        return normalize(vector);
+      });
+    }
+  },
+
+  fireworks: {
+    name: 'fireworks',
+    model: process.env.RAG_EMBEDDINGS_MODEL || 'nomic-ai/nomic-embed-text-v1.5',
+    dimensions: null,
+    async embed(texts) {
+      const apiKey = process.env.FIREWORKS_API_KEY;
+      if (!apiKey) {
+        throw new Error('Please set FIREWORKS_API_KEY to use Fireworks embeddings');
+      }
+
+      const response = await fetch('https://api.fireworks.ai/inference/v1/embeddings', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({ model: this.model, input: texts })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Embeddings API Error (${response.status}): ${errorText}`);
+      }
+
+      const data = await response.json();
+      return data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => normalize(item.embedding));
+    }
+  }
+};
+
+function getEmbeddingsBackend(name) {
+  const backendName = name || process.env.RAG_EMBEDDINGS_BACKEND || 'local';
+  const backend = BACKENDS[backendName];
+  if (!backend) {
+    throw new Error(`Unknown embeddings backend: ${backendName}`);
+  }
+  return backend;
+}
+
+module.exports = {
+  getEmbeddingsBackend
+};
@@ -0,0 +1,127 @@
+// Retrieval-augmented generation: ingest, retrieve and inject context
+const crypto = require('crypto');
+const { chunkDocument, detectFormat } = require('./chunker');
+const { getEmbeddingsBackend } = require('./embeddings');
+const vectorStore = require('./vector-store');
+
+const DEFAULT_TOP_K = 4;
+const MAX_TOP_K = 20;
+const EMBED_BATCH_SIZE = 32;
+
+function embeddingInfo(backend) {
+  return { backend: backend.name, model: backend.model };
+}
+
+async function embedAll(backend, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    vectors.push(...await backend.embed(texts.slice(i, i + EMBED_BATCH_SIZE)));
+  }
+  return vectors;
+}
+
+// Invalid input is an error with status 400
+function invalidDocument(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Documents, retrieval and stats are scoped to `clientId` (see vector-store.js)
+async function ingestDocument(input, { clientId } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalidDocument('Each document must be an object like { title, content }');
+  }
+  const { id, title, content, format, filename } = input;
+  if (!content || typeof content !== 'string') {
+    throw invalidDocument('Document content must be a non-empty string');
+  }
+  const invalidField = Object.entries({ id, title, format, filename })
+    .find(([, value]) => value !== undefined && value !== null && typeof value !== 'string');
+  if (invalidField) {
+    throw invalidDocument(`Document ${invalidField[0]} must be a string`);
+  }
+
+  const documentId = id || crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+  const documentFormat = detectFormat(filename, format);
+  const documentTitle = title || filename || `Document ${documentId}`;
+  const chunks = chunkDocument(content, { format: documentFormat });
+
+  const backend = getEmbeddingsBackend();
+  const vectors = await embedAll(backend, chunks.map(chunk => chunk.text));
+
+  const document = {
+    id: documentId,
+    title: documentTitle,
+    format: documentFormat,
+    chunk_count: chunks.length,
+    ingested_at: new Date().toISOString()
+  };
+
+  vectorStore.upsertDocument(clientId, document, chunks.map((chunk, i) => ({
+    id: `${documentId}#${chunk.index}`,
+    documentId,
+    title: documentTitle,
+    heading: chunk.heading,
+    index: chunk.index,
+    text: chunk.text,
+    vector: vectors[i]
+  })), embeddingInfo(backend));
+
+  return document;
+}
+
+async function retrieve(query, topK = DEFAULT_TOP_K, { clientId } = {}) {
+  const k = Math.min(Math.max(1, parseInt(topK) || DEFAULT_TOP_K), MAX_TOP_K);
+  const backend = getEmbeddingsBackend();
+  const [vector] = await backend.embed([query]);
+
+  return vectorStore.search(clientId, vector, k, embeddingInfo(backend)).map(({ chunk, score }, i) => ({
+    citation: i + 1,
+    chunk_id: chunk.id,
+    document_id: chunk.documentId,
+    title: chunk.title,
+    heading: chunk.heading,
+    text: chunk.text,
+    score: Number(score.toFixed(4))
+  }));
+}
+
+function formatContext(results) {
+  return results.map(result => {
+    const location = result.heading ? `${result.title} › ${result.heading}` : result.title;
+    return `[${result.citation}] (${location}, chunk ${result.chunk_id})\n${result.text}`;
+  }).join('\n\n');
+}
+
+// Add retrieved chunks to the conversation as system context. The context is
+// appended to an existing system prompt so the reasoning instructions survive.
+function augmentMessages(messages, results) {
+  if (results.length === 0) return messages;
+
+  const context = `Use the following retrieved document excerpts when they are relevant. Cite them inline as [n] using the numbers below. If they do not contain the answer, say so and answer from your own knowledge.\n\n${formatContext(results)}`;
+
+  const augmented = messages.map(message => ({ ...message }));
+  if (augmented[0] && augmented[0].role === 'system') {
+    augmented[0].content = `${augmented[0].content}\n\n${context}`;
+  } else {
+    augmented.unshift({ role: 'system', content: context });
+  }
+  return augmented;
+}
+
+// The retrieval query is the latest user turn
+function lastUserMessage(messages) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return message ? message.content : '';
+}
+
+module.exports = {
+  ingestDocument,
+  retrieve,
+  augmentMessages,
+  lastUserMessage,
+  deleteDocument: vectorStore.deleteDocument,
+  listDocuments: vectorStore.listDocuments,
+  stats: vectorStore.stats
+};
@@ -0,0 +1,134 @@
+// Local vector store for RAG chunks, persisted as a JSON file
+//
+// Vercel functions can only write to /tmp, so that is the default location.
+// Set RAG_STORE_PATH to keep the index somewhere durable during local dev.
+// Documents and chunks belong to the client (lib/access) that ingested them;
+// every lookup is scoped to one client. Documents are kept in a Map keyed by
+// client and id (both come from outside) and written out as an array.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STORE_PATH = process.env.RAG_STORE_PATH || path.join(os.tmpdir(), 'rag-store.json');
+
+let cache = null;
+
+function emptyStore() {
+  return { embedding: null, documents: new Map(), chunks: [] };
+}
+
+function documentKey(clientId, documentId) {
+  return JSON.stringify([clientId, documentId]);
+}
+
+// Stored documents carry client_id; callers get them without it
+function publicDocument({ client_id: _clientId, ...document }) {
+  return document;
+}
+
+function load() {
+  if (cache) return cache;
+  try {
+    const saved = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+    if (Array.isArray(saved.documents)) {
+      cache = {
+        ...saved,
+        documents: new Map(saved.documents.map(document => [documentKey(document.client_id, document.id), document]))
+      };
+    } else {
+      // Stores written before documents had owners cannot be split by client
+      console.log(`Ignoring the RAG store at ${STORE_PATH} from before documents had owners; ingest them again`);
+      cache = emptyStore();
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read RAG store at ${STORE_PATH}:`, error.message);
+    }
+    cache = emptyStore();
+  }
+  return cache;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  fs.writeFileSync(STORE_PATH, JSON.stringify({ ...cache, documents: [...cache.documents.values()] }));
+}
+
+// All vectors in one store must come from the same embeddings model
+function assertCompatible(store, embedding) {
+  if (store.embedding && (store.embedding.backend !== embedding.backend || store.embedding.model !== embedding.model)) {
+    throw new Error(`Vector store was built with ${store.embedding.backend}/${store.embedding.model}; clear it before switching to ${embedding.backend}/${embedding.model}`);
+  }
+}
+
+function isDocumentChunk(chunk, clientId, documentId) {
+  return chunk.clientId === clientId && chunk.documentId === documentId;
+}
+
+function upsertDocument(clientId, document, chunks, embedding) {
+  const store = load();
+  assertCompatible(store, embedding);
+
+  store.embedding = embedding;
+  store.chunks = store.chunks.filter(chunk => !isDocumentChunk(chunk, clientId, document.id));
+  store.chunks.push(...chunks.map(chunk => ({ ...chunk, clientId })));
+  store.documents.set(documentKey(clientId, document.id), { ...document, client_id: clientId });
+  save();
+}
+
+function deleteDocument(clientId, documentId) {
+  const store = load();
+  const key = documentKey(clientId, documentId);
+  if (!store.documents.has(key)) return false;
+
+  store.documents.delete(key);
+  store.chunks = store.chunks.filter(chunk => !isDocumentChunk(chunk, clientId, documentId));
+  if (store.chunks.length === 0) {
+    store.embedding = null;
+  }
+  save();
+  return true;
+}
+
+function listDocuments(clientId) {
+  return [...load().documents.values()]
+    .filter(document => document.client_id === clientId)
+    .map(publicDocument);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot; // vectors are stored L2-normalized
+}
+
+function search(clientId, vector, topK, embedding) {
+  const store = load();
+  const chunks = store.chunks.filter(chunk => chunk.clientId === clientId);
+  if (chunks.length === 0) return [];
+  assertCompatible(store, embedding);
+
+  return chunks
+    .map(chunk => ({ chunk, score: cosine(vector, chunk.vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+// Counts cover the client's own documents
+function stats(clientId) {
+  const store = load();
+  return {
+    path: STORE_PATH,
+    embedding: store.embedding,
+    documents: listDocuments(clientId).length,
+    chunks: store.chunks.filter(chunk => chunk.clientId === clientId).length
+  };
+}
+
+module.exports = {
+  upsertDocument,
+  deleteDocument,
+  listDocuments,
+  search,
+  stats
+};
@@ -0,0 +1,215 @@
+// Server-owned reasoning templates
+//
+// Clients send `reasoning: { method: 'cod', word_limit: 15 }` and the handlers
+// build the system prompt from these templates, so API callers do not need to
+// copy prompts from index.html. User-defined methods travel with the request:
+// `{ method: 'custom', label, template, variables, word_limit, examples }`.
+// Keep this module free of Node-only imports so the Edge runtime can use it.
+
+const DEFAULT_WORD_LIMIT = 10;
+const MAX_WORD_LIMIT = 100;
+
+// Bounds for user-defined templates
+const CUSTOM_METHOD = 'custom';
+const MAX_LABEL_LENGTH = 40;
+const MAX_TEMPLATE_LENGTH = 4000;
+const MAX_VARIABLES = 20;
+const MAX_VARIABLE_LENGTH = 500;
+const MAX_EXAMPLES = 10;
+const MAX_EXAMPLE_LENGTH = 2000;
+
+const REASONING_METHODS = {
+  standard: {
+    label: 'Standard',
+    template: ''
+  },
+
+  cot: {
+    label: 'CoT',
+    template: `Think step by step to solve this problem. Explain your reasoning at each step, then provide your final answer.`
+  },
+
+  cod: {
+    label: 'CoD',
+    usesWordLimit: true,
+    template: `Think step by step, but produce only minimal notes for each step ({word_limit} words maximum per step). Use mathematical notation where possible. Keep only essential information needed to solve the problem. Focus on key calculations and intermediate results without narrative explanation.
+
+IMPORTANT: The word limit applies only to the reasoning steps. The final answer (including code or explanations) should be as detailed as needed and is NOT limited by the step word constraint.
+
+Separate your steps with periods. Write your final answer after the #### separator.
+
+Examples:
+Q: Jason had 20 lollipops. He gave Denny some lollipops. Now Jason has 12 lollipops. How many lollipops did Jason give to Denny?
+A: 20 initial. 12 remaining. 20 - 12 = 8. #### 8 lollipops
+
+Q: A square has a perimeter of 20 cm. What is its area?
+A: Perimeter = 20 cm. Side length = 20/4 = 5 cm. Area = 5² = 25 cm². #### 25 square centimeters`
+  }
+};
+
+// Returns an error message for an invalid reasoning object, or null
+function validateReasoning(reasoning) {
+  if (reasoning === undefined || reasoning === null) return null;
+  if (typeof reasoning !== 'object') return 'reasoning must be an object like { method: "cod", word_limit: 15 }';
+
+  if (reasoning.method === CUSTOM_METHOD) {
+    const customError = validateCustomMethod(reasoning);
+    if (customError) return customError;
+  } else if (!Object.prototype.hasOwnProperty.call(REASONING_METHODS, reasoning.method)) {
+    // Own keys only, so names like toString or __proto__ are unknown methods
+    return `Unknown reasoning method "${reasoning.method}". Expected one of: ${[...Object.keys(REASONING_METHODS), CUSTOM_METHOD].join(', ')}`;
+  }
+
+  if (reasoning.word_limit !== undefined) {
+    const limit = Number(reasoning.word_limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_WORD_LIMIT) {
+      return `reasoning.word_limit must be an integer between 1 and ${MAX_WORD_LIMIT}`;
+    }
+  }
+
+  return null;
+}
+
+function isNonEmptyString(value, maxLength) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+}
+
+function validateCustomMethod(reasoning) {
+  if (!isNonEmptyString(reasoning.label, MAX_LABEL_LENGTH)) {
+    return `reasoning.label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`;
+  }
+  if (!isNonEmptyString(reasoning.template, MAX_TEMPLATE_LENGTH)) {
+    return `reasoning.template must be a non-empty string of at most ${MAX_TEMPLATE_LENGTH} characters`;
+  }
+
+  if (reasoning.variables !== undefined) {
+    const variables = reasoning.variables;
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      return 'reasoning.variables must be an object like { "language": "French" }';
+    }
+    const names = Object.keys(variables);
+    if (names.length > MAX_VARIABLES) return `reasoning.variables takes at most ${MAX_VARIABLES} entries`;
+    for (const name of names) {
+      if (!/^\w+$/.test(name)) return `reasoning.variables: "${name}" is not a valid variable name`;
+      // {word_limit} comes from reasoning.word_limit
+      if (name === 'word_limit') return 'reasoning.variables: set word_limit with reasoning.word_limit';
+      const value = variables[name];
+      if (!['string', 'number'].includes(typeof value) || String(value).length > MAX_VARIABLE_LENGTH) {
+        return `reasoning.variables.${name} must be a string or number of at most ${MAX_VARIABLE_LENGTH} characters`;
+      }
+    }
+  }
+
+  if (reasoning.examples !== undefined) {
+    if (!Array.isArray(reasoning.examples) || reasoning.examples.length > MAX_EXAMPLES) {
+      return `reasoning.examples must be an array of at most ${MAX_EXAMPLES} { question, answer } pairs`;
+    }
+    const invalid = reasoning.examples.findIndex(example => !example
+      || !isNonEmptyString(example.question, MAX_EXAMPLE_LENGTH)
+      || !isNonEmptyString(example.answer, MAX_EXAMPLE_LENGTH));
+    if (invalid !== -1) {
+      return `reasoning.examples[${invalid}] needs a question and an answer of at most ${MAX_EXAMPLE_LENGTH} characters each`;
+    }
+  }
+
+  return null;
+}
+
+// Only own keys fill placeholders, so {constructor} or {toString} stay as typed
+function renderTemplate(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) && variables[name] !== undefined ? String(variables[name]) : match
+  ));
+}
+
+// Requests without a reasoning object still work: recognise the templates
+// above in a client-supplied system prompt.
+function detectReasoningMethod(messages) {
+  const systemMessage = Array.isArray(messages) && messages.find(message => message.role === 'system');
+  const systemPrompt = systemMessage && typeof systemMessage.content === 'string' ? systemMessage.content : '';
+
+  if (/words maximum per step/.test(systemPrompt) || systemPrompt.includes('Chain of Draft')) return 'cod';
+  if (systemPrompt.startsWith(REASONING_METHODS.cot.template) || systemPrompt.includes('Chain of Thought')) return 'cot';
+  return 'standard';
+}
+
+// Few-shot examples in the format of the CoD template above
+function renderExamples(examples) {
+  if (!Array.isArray(examples) || examples.length === 0) return '';
+  return `Examples:\n${examples.map(example => `Q: ${example.question.trim()}\nA: ${example.answer.trim()}`).join('\n\n')}`;
+}
+
+// System prompt and word limit of a validated custom method. The word limit
+// only applies when the template has a {word_limit} placeholder.
+function renderCustomMethod(reasoning) {
+  const wordLimit = /\{word_limit\}/.test(reasoning.template) ? Number(reasoning.word_limit || DEFAULT_WORD_LIMIT) : null;
+  const systemPrompt = [
+    renderTemplate(reasoning.template.trim(), { ...reasoning.variables, word_limit: wordLimit === null ? undefined : wordLimit }),
+    renderExamples(reasoning.examples)
+  ].filter(Boolean).join('\n\n');
+  return { systemPrompt, wordLimit };
+}
+
+// Build the upstream body for a request: strips the `reasoning` field and, when
+// it is present, puts the rendered template in front of any client system prompt.
+function applyReasoning(requestBody) {
+  const { reasoning, ...body } = requestBody;
+
+  if (!reasoning) {
+    const method = detectReasoningMethod(body.messages);
+    return { body, method, label: REASONING_METHODS[method].label, wordLimit: null };
+  }
+
+  const custom = reasoning.method === CUSTOM_METHOD;
+  const definition = custom ? { label: reasoning.label.trim() } : REASONING_METHODS[reasoning.method];
+  let systemPrompt;
+  let wordLimit;
+  if (custom) {
+    ({ systemPrompt, wordLimit } = renderCustomMethod(reasoning));
+  } else {
+    wordLimit = definition.usesWordLimit ? Number(reasoning.word_limit || DEFAULT_WORD_LIMIT) : null;
+    systemPrompt = renderTemplate(definition.template, { word_limit: wordLimit });
+  }
+
+  let messages = Array.isArray(body.messages) ? body.messages.map(message => ({ ...message })) : [];
+  if (systemPrompt) {
+    if (messages[0] && messages[0].role === 'system') {
+      messages[0].content = `${systemPrompt}\n\n${messages[0].content}`;
+    } else {
+      messages = [{ role: 'system', content: systemPrompt }, ...messages];
+    }
+  }
+
+  // Custom templates need not say "words maximum per step", so pass the limit
+  // on explicitly for the CoD metrics (resolveWordLimit in lib/cod.js)
+  if (custom && wordLimit !== null) {
+    body.cod_word_limit = wordLimit;
+  }
+
+  return {
+    body: { ...body, messages },
+    method: reasoning.method,
+    label: definition.label,
+    wordLimit
+  };
+}
+
+// Methods and their raw templates for clients that need the exact system
+// prompt, e.g. fine-tuning exports
+function listReasoningMethods() {
+  return Object.entries(REASONING_METHODS).map(([id, definition]) => ({
+    id,
+    label: definition.label,
+    template: definition.template,
+    uses_word_limit: !!definition.usesWordLimit,
+    default_word_limit: definition.usesWordLimit ? DEFAULT_WORD_LIMIT : null
+  }));
+}
+
+module.exports = {
+  REASONING_METHODS,
+  DEFAULT_WORD_LIMIT,
+  listReasoningMethods,
+  validateReasoning,
+  applyReasoning
+};
@@ -0,0 +1,187 @@
+// Upstream retries with backoff and model fallback chains
+//
+// A 429, 5xx or network failure is retried on the same model with jittered
+// exponential backoff, honouring the upstream Retry-After. When a model runs
+// out of retries the next model in its fallback chain is tried. The chain
+// comes from the request (`fallback_models`, [] to disable), then the
+// MODEL_FALLBACKS env var (JSON like {"sonar-pro": ["sonar"]}), then the
+// catalog. Other 4xx responses are returned at once since another model
+// would reject the same request. Tune with RETRY_MAX_RETRIES (default 2),
+// RETRY_BASE_DELAY_MS (500) and RETRY_MAX_DELAY_MS (8000).
+// Keep this module free of Node-only imports so the Edge runtime can use it.
+const { resolveProvider, getApiKey } = require('./providers');
+const { getModel, validateModel } = require('./models');
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+function retrySettings() {
+  const read = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+  };
+  return {
+    maxRetries: read('RETRY_MAX_RETRIES', 2),
+    baseDelayMs: read('RETRY_BASE_DELAY_MS', 500),
+    maxDelayMs: read('RETRY_MAX_DELAY_MS', 8000)
+  };
+}
+
+// Returns an error message for an invalid fallback_models field, or null
+function validateFallbackModels(fallbackModels) {
+  if (fallbackModels === undefined || fallbackModels === null) return null;
+  if (!Array.isArray(fallbackModels)) return 'fallback_models must be an array of model ids';
+  for (const model of fallbackModels) {
+    const error = typeof model === 'string' ? validateModel(model) : 'fallback_models must be an array of model ids';
+    if (error) return error;
+  }
+  return null;
+}
+
+function getFallbackChain(model, requested) {
+  if (Array.isArray(requested)) return [model, ...requested.filter(id => id !== model)];
+
+  let configured = null;
+  try {
+    configured = process.env.MODEL_FALLBACKS && JSON.parse(process.env.MODEL_FALLBACKS)[model];
+  } catch (error) {
+    console.error('MODEL_FALLBACKS is not valid JSON:', error.message);
+  }
+  const entry = getModel(model);
+  const fallbacks = configured || (entry && entry.fallbacks) || [];
+  return [model, ...fallbacks.filter(id => id !== model)];
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full jitter: a random delay up to the exponential cap
+function backoffDelay(retry, { baseDelayMs, maxDelayMs }) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** retry));
+}
+
+// Rejects like an aborted fetch so callers handle timeouts in one place
+function abortError() {
+  const error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Free the connection of a failed response nobody is going to read
+function discardBody(response) {
+  if (!response || !response.body) return;
+  if (typeof response.body.cancel === 'function') {
+    response.body.cancel().catch(() => {});
+  } else if (typeof response.body.resume === 'function') {
+    response.body.resume();
+  }
+}
+
+// Send a chat request along the fallback chain.
+// `buildRequest(model, provider, apiKey)` returns { url, options } for a model.
+// Resolves to { response, model, provider, attempts } where `response` is the
+// first ok response or the last failure whose body is still unread; throws
+// the last network error when no such response is left.
+async function fetchWithFallback(fetchImpl, { model, fallbackModels, buildRequest, signal }) {
+  const settings = retrySettings();
+  const attempts = [];
+  // Only ever holds a response whose body has not been discarded
+  let lastResult = null;
+  let lastError = null;
+
+  for (const candidate of getFallbackChain(model, fallbackModels)) {
+    const provider = resolveProvider(candidate);
+    const apiKey = getApiKey(provider);
+    if (provider.requiresApiKey && !apiKey) {
+      attempts.push({ model: candidate, provider: provider.name, skipped: true, error: `${provider.apiKeyEnv} is not set` });
+      continue;
+    }
+
+    for (let retry = 0; retry <= settings.maxRetries; retry++) {
+      const { url, options } = buildRequest(candidate, provider, apiKey);
+      const attempt = { model: candidate, provider: provider.name };
+      attempts.push(attempt);
+
+      let response;
+      try {
+        response = await fetchImpl(url, { ...options, signal });
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        attempt.error = error.message;
+        lastError = error;
+      }
+
+      if (response) {
+        attempt.status = response.status;
+        if (lastResult) discardBody(lastResult.response);
+        lastResult = { response, model: candidate, provider, attempts };
+        if (response.ok || !RETRYABLE_STATUSES.includes(response.status)) {
+          return lastResult;
+        }
+      }
+
+      if (retry === settings.maxRetries) break;
+
+      const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : null;
+      const delay = retryAfter !== null ? Math.min(retryAfter, settings.maxDelayMs) : backoffDelay(retry, settings);
+      attempt.retry_after_ms = delay;
+      console.log(`Upstream ${candidate} failed (${attempt.status || attempt.error}), retrying in ${delay}ms`);
+      // Free the connection before waiting
+      if (response) {
+        discardBody(response);
+        lastResult = null;
+      }
+      await sleep(delay, signal);
+    }
+
+    console.log(`Upstream ${candidate} exhausted its retries, trying the next fallback model`);
+  }
+
+  if (lastResult) return lastResult;
+  throw lastError || new Error(`No model in the fallback chain is configured: ${attempts.map(attempt => attempt.error).join('; ')}`);
+}
+
+// Summary for responses: which model answered and how many attempts it took
+function describeAttempts(result, requestedModel) {
+  return {
+    requested_model: requestedModel,
+    model: result.model,
+    provider: result.provider.name,
+    fallback_used: result.model !== requestedModel,
+    attempt_count: result.attempts.filter(attempt => !attempt.skipped).length,
+    attempts: result.attempts
+  };
+}
+
+module.exports = {
+  validateFallbackModels,
+  getFallbackChain,
+  fetchWithFallback,
+  describeAttempts,
+  parseRetryAfter
+};
@@ -0,0 +1,167 @@
+// Helpers for reading OpenAI-style server-sent event streams
+//
+// Works with both Node Buffers and Edge Uint8Arrays, so keep it free of
+// Node-only imports.
+const { extractSources } = require('./citations');
+
+// Returns a push(chunk) function that calls onData for every parsed `data:`
+// payload and onDone once for the [DONE] marker.
+function createSseParser(onData, onDone = () => {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let done = false;
+
+  return function push(chunk) {
+    if (done) return;
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    // Keep the trailing partial line in the buffer for the next chunk
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') {
+        done = true;
+        onDone();
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (e) {
+        console.warn('Skipping malformed stream chunk:', data.substring(0, 100));
+        continue;
+      }
+      onData(payload);
+    }
+  };
+}
+
+// Serialize one SSE message; named events let clients tell them from deltas
+function formatEvent(payload, eventName) {
+  const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return `${eventName ? `event: ${eventName}\n` : ''}data: ${data}\n\n`;
+}
+
+function deltaContent(payload) {
+  const choice = payload && payload.choices && payload.choices[0];
+  return (choice && choice.delta && choice.delta.content) || '';
+}
+
+// Streaming protocol sent by /api/streaming, /api/streaming-edge and the
+// catch-all proxy (documented in the README). Every message is a named event:
+//   context     - context-window stats, always first
+//   upstream    - the model answering and its attempts, before the first token
+//   delta       - { content } for each piece of the reply, plus logprobs when requested
+//   sources     - numbered sources for the reply's [n] markers (Perplexity)
+//   usage       - token counts and estimated cost
+//   cod         - Chain-of-Draft metrics (only for CoD-style replies)
+//   performance - timings and the reasoning method
+//   error       - { message, ... }; the stream ends right after it
+//   done        - data: [DONE], exactly once, always last
+// Idle periods are filled with `: heartbeat` comments.
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+// `write(text)` may return a promise (Edge writers); writes are chained so
+// events keep their order either way.
+function createEventStream(write, { heartbeatMs } = {}) {
+  const interval = heartbeatMs || parseInt(process.env.STREAM_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS;
+  const state = { content: '', usage: null, sources: null, finishReason: null, firstTokenAt: null, error: null };
+  let chain = Promise.resolve();
+  let closed = false;
+
+  function raw(text) {
+    if (closed) return chain;
+    chain = chain
+      .then(() => write(text))
+      .catch(error => {
+        // The client went away; stop writing
+        console.error('Stream write failed:', error.message);
+        close();
+      });
+    return chain;
+  }
+
+  const heartbeat = setInterval(() => raw(': heartbeat\n\n'), interval);
+
+  function close() {
+    closed = true;
+    clearInterval(heartbeat);
+  }
+
+  function send(event, payload) {
+    return raw(formatEvent(payload, event));
+  }
+
+  // Feed raw upstream bytes; OpenAI-style chunks become delta events
+  const relay = createSseParser((payload) => {
+    if (closed) return;
+    if (payload.usage) state.usage = payload.usage;
+    // Perplexity repeats the full source list on every chunk
+    const sources = extractSources(payload);
+    if (sources) state.sources = sources;
+    if (payload.error) {
+      // An upstream error ends the reply: error, done, and nothing after them
+      state.error = typeof payload.error === 'string' ? payload.error : payload.error.message || 'Upstream error';
+      fail(state.error);
+      return;
+    }
+    const choice = payload.choices && payload.choices[0];
+    if (choice && choice.finish_reason) state.finishReason = choice.finish_reason;
+
+    const content = deltaContent(payload);
+    if (content) {
+      if (!state.firstTokenAt) state.firstTokenAt = Date.now();
+      state.content += content;
+      // Token log probabilities ride along when the request asked for logprobs
+      send('delta', choice.logprobs ? { content, logprobs: choice.logprobs } : { content });
+    }
+  });
+
+  // Trailing events in protocol order, then the single terminator
+  function end({ usage, cod, performance } = {}) {
+    if (state.sources) send('sources', state.sources);
+    if (usage) send('usage', usage);
+    if (cod) send('cod', cod);
+    if (performance) send('performance', performance);
+    return finish();
+  }
+
+  function fail(message, details = {}) {
+    send('error', { message, ...details });
+    return finish();
+  }
+
+  // Sends the terminator once; later calls, and calls after the client left, do nothing
+  function finish() {
+    if (closed) return chain;
+    send('done', '[DONE]');
+    const finished = chain;
+    close();
+    return finished;
+  }
+
+  return {
+    state,
+    send,
+    relay,
+    end,
+    fail,
+    close,
+    get closed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = {
+  createSseParser,
+  formatEvent,
+  deltaContent,
+  createEventStream
+};
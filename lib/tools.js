@@ -0,0 +1,171 @@
+// Server-side tools the chat proxy offers to models with function calling
+//
+// web_search uses the same search service as /api/abacus-websearch
+// (lib/websearch) and research_papers the Abacus.AI research agent behind
+// /api/abacus-research. They are only advertised when a backend is
+// configured and the catalog marks the model with supports.tools. Requests choose with `server_tools`: true (default) for
+// every available tool, a list of names, or false. Requests that bring their
+// own OpenAI `tools` are passed through untouched. The model may call tools
+// for up to SERVER_TOOLS_MAX_ITERATIONS rounds (default 3); after that it is
+// asked to answer without them.
+const { getModel } = require('./models');
+const { researchConfigured, searchResearchPapers } = require('./abacus');
+const { searchConfigured, searchWeb, formatResults } = require('./websearch');
+
+const DEFAULT_MAX_ITERATIONS = 3;
+// Tool output fed back to the model is cut to this many characters
+const TOOL_RESULT_MAX_CHARS = 6000;
+const TRACE_PREVIEW_CHARS = 300;
+
+const TOOLS = {
+  web_search: {
+    description: 'Search the web for current information. Returns numbered results; cite them as [n] in the answer.',
+    configured: searchConfigured,
+    run: async (fetchImpl, args, signal) => formatResults((await searchWeb(args.query, { signal })).results)
+  },
+  research_papers: {
+    description: 'Find academic research papers on a subject. Returns titles, authors, summaries and links.',
+    configured: researchConfigured,
+    run: (fetchImpl, args, signal) => searchResearchPapers(fetchImpl, args.query, { signal })
+  }
+};
+
+// Own keys only, so names like constructor or __proto__ are unknown tools
+function isTool(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(TOOLS, name);
+}
+
+function toolDefinition(name) {
+  return {
+    type: 'function',
+    function: {
+      name,
+      description: TOOLS[name].description,
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to search for' }
+        },
+        required: ['query']
+      }
+    }
+  };
+}
+
+// Returns an error message for an invalid server_tools field, or null
+function validateServerTools(serverTools) {
+  if (serverTools === undefined || serverTools === null || typeof serverTools === 'boolean') return null;
+  if (!Array.isArray(serverTools)) return 'server_tools must be true, false or an array of tool names';
+  const unknown = serverTools.find(name => !isTool(name));
+  if (unknown !== undefined) {
+    return `Unknown server tool "${unknown}". Expected one of: ${Object.keys(TOOLS).join(', ')}`;
+  }
+  return null;
+}
+
+// Names of the tools to advertise for this request ([] when none apply)
+function selectServerTools(requestBody) {
+  const requested = requestBody.server_tools;
+  if (requested === false || requestBody.tools) return [];
+
+  const model = getModel(requestBody.model);
+  if (!model || !model.supports.tools) return [];
+
+  const names = Array.isArray(requested) ? requested : Object.keys(TOOLS);
+  return names.filter(name => TOOLS[name].configured());
+}
+
+function maxIterations() {
+  const value = parseInt(process.env.SERVER_TOOLS_MAX_ITERATIONS);
+  return Number.isNaN(value) ? DEFAULT_MAX_ITERATIONS : value;
+}
+
+// Run one tool call. Failures go back to the model as text so it can
+// recover; only an abort (the request timed out) is rethrown.
+async function runToolCall(fetchImpl, call, iteration, signal) {
+  const name = call.function && call.function.name;
+  const entry = { iteration, id: call.id, name, arguments: null };
+  const startTime = Date.now();
+  let content;
+
+  try {
+    entry.arguments = JSON.parse((call.function && call.function.arguments) || '{}');
+    if (!isTool(name)) throw new Error(`Unknown tool ${name}`);
+    if (!entry.arguments.query) throw new Error('Missing required argument: query');
+
+    const result = String(await TOOLS[name].run(fetchImpl, entry.arguments, signal));
+    content = result.length > TOOL_RESULT_MAX_CHARS ? `${result.slice(0, TOOL_RESULT_MAX_CHARS)}\n[truncated]` : result;
+    entry.result_chars = result.length;
+    entry.result_preview = result.slice(0, TRACE_PREVIEW_CHARS);
+  } catch (error) {
+    if (error.name === 'AbortError' && signal && signal.aborted) throw error;
+    console.error(`Tool ${name} failed:`, error.message);
+    entry.error = error.message;
+    content = `Error: ${error.message}`;
+  }
+
+  entry.duration_ms = Date.now() - startTime;
+  return { entry, message: { role: 'tool', tool_call_id: call.id, content } };
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    prompt_tokens: (total ? total.prompt_tokens : 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total ? total.completion_tokens : 0) + (usage.completion_tokens || 0),
+    total_tokens: (total ? total.total_tokens : 0) + (usage.total_tokens || 0)
+  };
+}
+
+// Call the model, run any tool calls it makes and call it again with the
+// results until it answers in plain text.
+// `complete(messages, extra)` sends one chat request with `extra` merged into
+// the body and resolves to a fetchWithFallback result.
+// Resolves to { upstreamResult, data, trace, iterations }: `data` is the
+// parsed final reply with usage summed over every round, or null when the
+// last upstream response was not ok (its body is left unread).
+async function runToolLoop(fetchImpl, { complete, messages, toolNames, signal }) {
+  const tools = toolNames.map(toolDefinition);
+  const limit = maxIterations();
+  const trace = [];
+  let conversation = messages;
+  let usage = null;
+
+  for (let iteration = 1; ; iteration++) {
+    const lastRound = iteration > limit;
+    let extra = {};
+    if (tools.length > 0) {
+      extra = lastRound ? { tools, tool_choice: 'none' } : { tools };
+    }
+
+    const upstreamResult = await complete(conversation, extra);
+    if (!upstreamResult.response.ok) {
+      return { upstreamResult, data: null, trace, iterations: iteration };
+    }
+
+    const data = await upstreamResult.response.json();
+    usage = addUsage(usage, data.usage);
+
+    const message = data.choices && data.choices[0] && data.choices[0].message;
+    const toolCalls = message && message.tool_calls;
+    if (tools.length === 0 || lastRound || !toolCalls || toolCalls.length === 0) {
+      if (iteration > 1 && usage) data.usage = usage;
+      return { upstreamResult, data, trace, iterations: iteration };
+    }
+
+    console.log(`Tool round ${iteration}: ${toolCalls.map(call => call.function && call.function.name).join(', ')}`);
+    const results = await Promise.all(toolCalls.map(call => runToolCall(fetchImpl, call, iteration, signal)));
+    results.forEach(result => trace.push(result.entry));
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: message.content || '', tool_calls: toolCalls },
+      ...results.map(result => result.message)
+    ];
+  }
+}
+
+module.exports = {
+  validateServerTools,
+  selectServerTools,
+  runToolLoop
+};
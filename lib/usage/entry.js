@@ -0,0 +1,51 @@
+// Usage records for chat completions
+//
+// Built the same way by every chat handler. Token counts come from the
+// provider's `usage` block (for streams, the final chunk that carries it)
+// and fall back to estimates when the provider sends none. Keep this module
+// free of Node-only imports so the Edge runtime can use it.
+const { estimateTokens } = require('../context');
+const { estimateCost } = require('../models');
+
+function buildUsageEntry({
+  model,
+  provider,
+  endpoint,
+  stream = false,
+  reasoningMethod,
+  wordLimit = null,
+  threadId = null,
+  clientId = null,
+  latencyMs,
+  usage,
+  promptEstimate = 0,
+  replyContent = ''
+}) {
+  const reported = !!(usage && (usage.prompt_tokens || usage.completion_tokens));
+  const promptTokens = reported ? usage.prompt_tokens || 0 : promptEstimate;
+  const completionTokens = reported ? usage.completion_tokens || 0 : estimateTokens(replyContent);
+  const timestamp = new Date().toISOString();
+
+  return {
+    timestamp,
+    day: timestamp.slice(0, 10),
+    model,
+    provider,
+    endpoint,
+    stream,
+    reasoning_method: reasoningMethod,
+    word_limit: wordLimit,
+    thread_id: threadId,
+    client_id: clientId,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    estimated: !reported,
+    latency_ms: latencyMs,
+    cost_usd: estimateCost(model, promptTokens, completionTokens)
+  };
+}
+
+module.exports = {
+  buildUsageEntry
+};
@@ -0,0 +1,121 @@
+// Usage and cost accounting for chat completions
+//
+// USAGE_STORE selects the backend:
+//   memory  - per-instance, lost on cold start (default without MONGODB_URI)
+//   file    - JSON file at USAGE_STORE_PATH (default: OS temp dir)
+//   mongodb - MONGODB_URI / MONGODB_DB (default when MONGODB_URI is set)
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('./memory-store');
+const { createFileStore } = require('./file-store');
+const { createMongoStore } = require('./mongodb-store');
+const { buildUsageEntry } = require('./entry');
+
+const GROUPS = {
+  day: 'day',
+  model: 'model',
+  reasoning_method: 'reasoning_method',
+  thread: 'thread_id'
+};
+
+let store = null;
+
+function getUsageStore() {
+  if (store) return store;
+
+  const backend = process.env.USAGE_STORE || (process.env.MONGODB_URI ? 'mongodb' : 'memory');
+
+  if (backend === 'mongodb') {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('Please set MONGODB_URI to use the mongodb usage store');
+    }
+    store = createMongoStore({
+      uri: process.env.MONGODB_URI,
+      database: process.env.MONGODB_DB || 'llm_playground'
+    });
+  } else if (backend === 'file') {
+    store = createFileStore(process.env.USAGE_STORE_PATH || path.join(os.tmpdir(), 'usage.json'));
+  } else if (backend === 'memory') {
+    store = createMemoryStore();
+  } else {
+    throw new Error(`Unknown usage store: ${backend}`);
+  }
+
+  return store;
+}
+
+// Accounting must never fail the request it describes
+async function recordUsage(entry) {
+  try {
+    await getUsageStore().record(entry);
+  } catch (error) {
+    console.error("Failed to record usage:", error.message);
+  }
+  return entry;
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0,
+    estimated_requests: 0,
+    latency_ms: 0
+  };
+}
+
+function addRecord(totals, record) {
+  totals.requests += 1;
+  totals.prompt_tokens += record.prompt_tokens || 0;
+  totals.completion_tokens += record.completion_tokens || 0;
+  totals.total_tokens += record.total_tokens || 0;
+  totals.cost_usd += record.cost_usd || 0;
+  totals.estimated_requests += record.estimated ? 1 : 0;
+  totals.latency_ms += record.latency_ms || 0;
+}
+
+// Sums plus per-request means, which is what makes CoD and CoT comparable
+function finishTotals(totals) {
+  const { latency_ms: latency, ...rest } = totals;
+  const per = (value) => (totals.requests ? Number((value / totals.requests).toFixed(2)) : 0);
+  return {
+    ...rest,
+    cost_usd: Number(totals.cost_usd.toFixed(6)),
+    mean_prompt_tokens: per(totals.prompt_tokens),
+    mean_completion_tokens: per(totals.completion_tokens),
+    mean_latency_ms: per(latency)
+  };
+}
+
+function aggregateUsage(records) {
+  const totals = emptyTotals();
+  // Maps, because thread ids come from clients and may be names like __proto__
+  const groups = {};
+  Object.keys(GROUPS).forEach(name => { groups[name] = new Map(); });
+
+  records.forEach(record => {
+    addRecord(totals, record);
+    Object.entries(GROUPS).forEach(([name, field]) => {
+      const key = String(record[field] || 'unknown');
+      if (!groups[name].has(key)) groups[name].set(key, emptyTotals());
+      addRecord(groups[name].get(key), record);
+    });
+  });
+
+  const report = { totals: finishTotals(totals) };
+  Object.entries(groups).forEach(([name, buckets]) => {
+    report[`by_${name}`] = [...buckets.entries()]
+      .map(([key, bucket]) => ({ [name]: key, ...finishTotals(bucket) }))
+      .sort((a, b) => (name === 'day' ? a.day.localeCompare(b.day) : b.total_tokens - a.total_tokens));
+  });
+  return report;
+}
+
+module.exports = {
+  getUsageStore,
+  buildUsageEntry,
+  recordUsage,
+  aggregateUsage
+};
@@ -0,0 +1,42 @@
+// In-memory usage store
+//
+// Also the base for the file store, which passes in loaded state and an
+// onChange hook that persists it after every write.
+const MAX_RECORDS = 50000;
+
+function matches(record, filter) {
+  if (filter.from && record.day < filter.from) return false;
+  if (filter.to && record.day > filter.to) return false;
+  if (filter.model && record.model !== filter.model) return false;
+  if (filter.thread_id && record.thread_id !== filter.thread_id) return false;
+  if (filter.client_id && record.client_id !== filter.client_id) return false;
+  return true;
+}
+
+function createMemoryStore({ state = { records: [] }, onChange = () => {}, name = 'memory' } = {}) {
+  return {
+    name,
+
+    async ping() {
+      return { connected: true };
+    },
+
+    async record(entry) {
+      state.records.push(entry);
+      // Oldest records go first so /tmp and memory stay bounded
+      if (state.records.length > MAX_RECORDS) {
+        state.records.splice(0, state.records.length - MAX_RECORDS);
+      }
+      onChange(state);
+      return entry;
+    },
+
+    async list(filter = {}) {
+      return state.records.filter(record => matches(record, filter));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,44 @@
+// MongoDB usage store
+//
+// One document per completion in the `usage` collection. Shares the cached
+// client with the conversation store.
+const { getClient } = require('../conversations/mongodb-store');
+
+function createMongoStore({ uri, database }) {
+  async function usage() {
+    const client = await getClient(uri);
+    return client.db(database).collection('usage');
+  }
+
+  return {
+    name: 'mongodb',
+
+    async ping() {
+      const client = await getClient(uri);
+      await client.db(database).command({ ping: 1 });
+      return { connected: true, database };
+    },
+
+    async record(entry) {
+      await (await usage()).insertOne({ ...entry });
+      return entry;
+    },
+
+    async list(filter = {}) {
+      const query = {};
+      if (filter.from || filter.to) {
+        query.day = {};
+        if (filter.from) query.day.$gte = filter.from;
+        if (filter.to) query.day.$lte = filter.to;
+      }
+      ['model', 'thread_id', 'client_id'].forEach(key => {
+        if (filter[key]) query[key] = filter[key];
+      });
+      return (await usage()).find(query, { projection: { _id: 0 } }).toArray();
+    }
+  };
+}
+
+module.exports = {
+  createMongoStore
+};
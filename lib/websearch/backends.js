@@ -0,0 +1,164 @@
+// Web search backends
+//
+// Each backend's search(query, { limit, signal }) resolves to raw results
+// { title, url, snippet, published } in the backend's own order; lib/websearch
+// de-duplicates, ranks and numbers them.
+//   abacus     - Abacus.AI web search deployment (ABACUS_WEBSEARCH_TOKEN / _ID)
+//   perplexity - Perplexity Search API (PERPLEXITY_API_KEY)
+//   fixture    - canned results from WEBSEARCH_FIXTURE_PATH or fixtures.json,
+//                matched on query words; no network needed
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { webSearchConfigured, searchWeb } = require('../abacus');
+
+const PERPLEXITY_SEARCH_URL = 'https://api.perplexity.ai/search';
+const PERPLEXITY_TIMEOUT_MS = 30000;
+const SNIPPET_MAX_CHARS = 500;
+const URL_PATTERN = /https?:\/\/[^\s)\]>"']+/;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'what', 'how', 'why', 'who', 'are', 'was', 'is', 'of', 'in', 'on', 'to', 'a', 'an', 'about', 'does', 'from']);
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+// Words of a query worth matching on
+function queryTerms(query) {
+  return [...new Set(tokenize(query).filter(word => !STOP_WORDS.has(word)))];
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// The Abacus deployment answers with one formatted string. Split it into
+// entries (blank lines or list items) and pick out the URL, title, date and
+// snippet of each; text without any URL becomes a single untitled result.
+function parseSearchOutput(output) {
+  const text = String(output || '').trim();
+  if (!text) return [];
+  if (!URL_PATTERN.test(text)) {
+    return [{ title: 'Web search results', url: '', snippet: clean(text).slice(0, SNIPPET_MAX_CHARS), published: null }];
+  }
+
+  return text
+    .split(/\n\s*\n|\n(?=\s*(?:\d+[.)]|[-*•])\s)/)
+    .map(block => {
+      const urlMatch = block.match(URL_PATTERN);
+      if (!urlMatch) return null;
+      const url = urlMatch[0].replace(/[.,;]+$/, '');
+      const dateMatch = block.match(/(?:published|date)\s*:\s*([^\n]+)/i);
+
+      const lines = block.split('\n')
+        .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').replace(/\*\*/g, '').trim())
+        .filter(Boolean);
+      const [firstLine, ...rest] = lines;
+      const title = clean(firstLine.replace(URL_PATTERN, '').replace(/^(?:title|source)\s*:\s*/i, '').replace(/[-–:|]\s*$/, ''));
+      const snippet = clean(rest
+        .filter(line => !/^(?:url|link|published|date)\s*:/i.test(line) && line.replace(URL_PATTERN, '').trim())
+        .map(line => line.replace(/^(?:snippet|content|summary)\s*:\s*/i, ''))
+        .join(' '));
+
+      return {
+        title: title || hostnameOf(url),
+        url,
+        snippet: snippet.slice(0, SNIPPET_MAX_CHARS),
+        published: dateMatch ? clean(dateMatch[1]) : null
+      };
+    })
+    .filter(Boolean);
+}
+
+let fixtures = null;
+
+function loadFixtures() {
+  if (fixtures) return fixtures;
+  fixtures = process.env.WEBSEARCH_FIXTURE_PATH
+    ? JSON.parse(fs.readFileSync(process.env.WEBSEARCH_FIXTURE_PATH, 'utf8'))
+    : require('./fixtures.json');
+  return fixtures;
+}
+
+const BACKENDS = {
+  abacus: {
+    name: 'abacus',
+    configured: webSearchConfigured,
+    async search(query, { signal } = {}) {
+      return parseSearchOutput(await searchWeb(fetch, query, { signal }));
+    }
+  },
+
+  perplexity: {
+    name: 'perplexity',
+    configured: () => !!process.env.PERPLEXITY_API_KEY,
+    async search(query, { limit, signal } = {}) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), PERPLEXITY_TIMEOUT_MS);
+      const onAbort = () => controller.abort();
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        const response = await fetch(PERPLEXITY_SEARCH_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`
+          },
+          body: JSON.stringify({ query, max_results: limit }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error(`Perplexity Search API error (${response.status}): ${errorText}`);
+          const error = new Error(`Perplexity Search API Error: ${response.statusText}`);
+          error.status = response.status;
+          error.details = errorText;
+          throw error;
+        }
+
+        const data = await response.json();
+        return (data.results || []).map(result => ({
+          title: result.title || hostnameOf(result.url),
+          url: result.url || '',
+          snippet: clean(result.snippet).slice(0, SNIPPET_MAX_CHARS),
+          published: result.date || result.last_updated || null
+        }));
+      } finally {
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    }
+  },
+
+  fixture: {
+    name: 'fixture',
+    configured: () => true,
+    async search(query) {
+      const words = new Set(queryTerms(query));
+      return loadFixtures()
+        .map(result => ({
+          result,
+          hits: tokenize(`${result.title} ${result.snippet}`).filter(word => words.has(word)).length
+        }))
+        .filter(entry => entry.hits > 0)
+        .sort((a, b) => b.hits - a.hits)
+        .map(entry => ({ published: null, ...entry.result }));
+    }
+  }
+};
+
+module.exports = {
+  BACKENDS,
+  parseSearchOutput,
+  tokenize,
+  queryTerms
+};
@@ -0,0 +1,122 @@
+// Web search service used by /api/abacus-websearch and the web_search tool
+//
+// WEBSEARCH_BACKEND selects the backend (see backends.js): abacus, perplexity
+// or fixture. Without it the first configured of abacus and perplexity is
+// used. Results from any backend are de-duplicated by URL, ranked and
+// numbered so prompts can ask for [n] citations that the UI links back to
+// the source.
+const { BACKENDS, tokenize, queryTerms } = require('./backends');
+
+const DEFAULT_MAX_RESULTS = 8;
+
+// Ranking weights: the backend's own order, query words in the title and
+// snippet, and a small boost for pages published in the last year
+const POSITION_WEIGHT = 0.5;
+const RELEVANCE_WEIGHT = 0.4;
+const RECENCY_WEIGHT = 0.1;
+const RECENT_MS = 365 * 24 * 60 * 60 * 1000;
+
+function getSearchBackend(name) {
+  const backendName = name || process.env.WEBSEARCH_BACKEND ||
+    ['abacus', 'perplexity'].find(candidate => BACKENDS[candidate].configured());
+  if (!backendName) return null;
+
+  // Own keys only: names like "constructor" are not backends
+  const backend = Object.prototype.hasOwnProperty.call(BACKENDS, backendName) ? BACKENDS[backendName] : null;
+  if (!backend) {
+    throw new Error(`Unknown web search backend: ${backendName}`);
+  }
+  return backend;
+}
+
+function searchConfigured() {
+  const backend = getSearchBackend();
+  return !!backend && backend.configured();
+}
+
+// Same page, different spelling: scheme, www., trailing slash, fragment and
+// tracking parameters are ignored
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !/^(utm_|ref$|fbclid$|gclid$)/.test(key))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params)}` : '';
+    return `${parsed.hostname.replace(/^www\./, '').toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}${query}`;
+  } catch (error) {
+    return String(url || '').trim().toLowerCase();
+  }
+}
+
+// Keep the first copy of every page, filling gaps from later copies.
+// Results with neither a URL nor a title cannot be cited and are dropped.
+function dedupeResults(results) {
+  const seen = new Map();
+  results.forEach((result, position) => {
+    if (!result || (!result.url && !result.title)) return;
+    const key = result.url ? normalizeUrl(result.url) : `title:${String(result.title).toLowerCase()}`;
+    const existing = seen.get(key);
+    if (!existing) {
+      seen.set(key, { ...result, position });
+      return;
+    }
+    if (!existing.snippet && result.snippet) existing.snippet = result.snippet;
+    if (!existing.published && result.published) existing.published = result.published;
+  });
+  return [...seen.values()];
+}
+
+function rankResults(query, results) {
+  const terms = queryTerms(query);
+  const now = Date.now();
+
+  return results
+    .map(result => {
+      const words = new Set(tokenize(`${result.title || ''} ${result.snippet || ''}`));
+      const relevance = terms.length ? terms.filter(term => words.has(term)).length / terms.length : 0;
+      const published = Date.parse(result.published);
+      const recency = !Number.isNaN(published) && now - published < RECENT_MS ? 1 : 0;
+      const score = POSITION_WEIGHT / (1 + result.position) + RELEVANCE_WEIGHT * relevance + RECENCY_WEIGHT * recency;
+      return { ...result, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Resolves to { backend, query, results } with results numbered from 1 in
+// rank order: { number, title, url, snippet, published, score }
+async function searchWeb(query, { backend: backendName, limit, signal } = {}) {
+  const backend = getSearchBackend(backendName);
+  if (!backend || !backend.configured()) {
+    throw new Error('Web search is not configured. Set ABACUS_WEBSEARCH_TOKEN and ABACUS_WEBSEARCH_ID, PERPLEXITY_API_KEY, or WEBSEARCH_BACKEND=fixture');
+  }
+
+  const maxResults = parseInt(limit) || parseInt(process.env.WEBSEARCH_MAX_RESULTS) || DEFAULT_MAX_RESULTS;
+  const raw = await backend.search(query, { limit: maxResults, signal });
+  const results = rankResults(query, dedupeResults(raw))
+    .slice(0, maxResults)
+    .map(({ position, score, ...result }, i) => ({
+      number: i + 1,
+      ...result,
+      score: Number(score.toFixed(4))
+    }));
+
+  return { backend: backend.name, query, results };
+}
+
+// Numbered source list for a prompt; answers cite these as [n]
+function formatResults(results) {
+  if (results.length === 0) return 'No relevant search results found.';
+  return results.map(result => {
+    const header = `[${result.number}] ${result.title}${result.published ? ` (${result.published})` : ''}`;
+    return [header, result.url, result.snippet].filter(Boolean).join('\n');
+  }).join('\n\n');
+}
+
+module.exports = {
+  getSearchBackend,
+  searchConfigured,
+  searchWeb,
+  formatResults,
+  normalizeUrl
+};
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Benchmark reasoning methods on a GSM8K-style JSONL dataset
+//
+//   node scripts/benchmark.js --dataset benchmarks/sample.jsonl --mock
+//   node scripts/benchmark.js --dataset gsm8k-test.jsonl --methods cot,cod:10,cod:20 \
+//     --model accounts/fireworks/models/deepseek-v3 --concurrency 4 --limit 100 --out report.json
+//
+// Live runs read the provider keys (FIREWORKS_API_KEY, ...) from the
+// environment like the API does. Prints a per-method summary; --out writes
+// the full report with every item's prediction as JSON.
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { DEFAULT_METHODS, parseDataset, validateOptions, runBenchmark } = require('../lib/benchmark');
+
+const USAGE = `Usage: node scripts/benchmark.js --dataset <file.jsonl> [options]
+
+Options:
+  --methods <list>      Comma-separated methods (default: ${DEFAULT_METHODS.join(',')})
+  --model <id>          Model id from GET /api/models (default: DEFAULT_MODEL or DeepSeek V3)
+  --mock                Answer with the offline mock upstream instead of the provider
+  --concurrency <n>     Requests in flight at once (default: 4)
+  --limit <n>           Only use the first n items
+  --temperature <t>     Sampling temperature (default: 0)
+  --max-tokens <n>      Reply token limit (default: 1024)
+  --out <file>          Write the full JSON report to this file`;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+    const name = arg.slice(2);
+    if (name === 'mock' || name === 'help') {
+      args[name] = true;
+    } else if (i + 1 < argv.length) {
+      args[name] = argv[++i];
+    } else {
+      throw new Error(`Missing value for ${arg}`);
+    }
+  }
+  return args;
+}
+
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+function formatSummary(report) {
+  const header = ['Method', 'Accuracy', 'Correct', 'Mean tokens', 'Mean latency', 'Used ####', 'Errors'];
+  const rows = report.methods.map(method => [
+    method.label,
+    `${(method.accuracy * 100).toFixed(1)}%`,
+    `${method.correct}/${method.items}`,
+    method.mean_completion_tokens === null ? '-' : `${method.tokens_estimated ? '~' : ''}${method.mean_completion_tokens}`,
+    method.mean_latency_ms === null ? '-' : `${method.mean_latency_ms} ms`,
+    `${method.with_separator}/${method.items}`,
+    method.errors
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)) + 2);
+  return [header, ...rows].map(row => row.map((cell, column) => pad(cell, widths[column])).join('').trimEnd()).join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.dataset) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  let items = parseDataset(fs.readFileSync(args.dataset, 'utf8'));
+  if (args.limit) items = items.slice(0, parseInt(args.limit));
+
+  const options = {
+    items,
+    methods: args.methods ? args.methods.split(',').map(method => method.trim()).filter(Boolean) : DEFAULT_METHODS,
+    model: args.model,
+    upstream: args.mock ? 'mock' : 'live',
+    concurrency: args.concurrency,
+    temperature: args.temperature !== undefined ? Number(args.temperature) : undefined,
+    maxTokens: args['max-tokens'] !== undefined ? parseInt(args['max-tokens']) : undefined,
+    fetchImpl: fetch
+  };
+  const validationError = validateOptions(options);
+  if (validationError) throw new Error(validationError);
+  // Leave unset options to the runner's defaults
+  Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+
+  console.error(`Running ${items.length} items against ${options.upstream === 'mock' ? 'the mock upstream' : options.model || 'the default model'}`);
+  const report = await runBenchmark({
+    ...options,
+    onProgress: (done, total) => {
+      if (process.stderr.isTTY) process.stderr.write(`\r${done}/${total} requests`);
+    }
+  });
+  if (process.stderr.isTTY) process.stderr.write('\n');
+
+  console.log(formatSummary(report));
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.error(`Report written to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`Benchmark failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// api/benchmark.js checks temperature and max_tokens before starting a job
+// and clamps max_tokens to the model's output limit
+const test = require('node:test');
+const assert = require('node:assert');
+const { getModel } = require('../lib/models');
+const { defaultModel } = require('../lib/benchmark');
+const { callNode } = require('./helpers');
+
+process.env.JOB_STORE = 'memory';
+const benchmarkHandler = require('../api/benchmark');
+
+const items = [{ question: 'What is 2 + 3?', answer: '5' }];
+
+async function submit(options) {
+  const response = await callNode(benchmarkHandler, { body: { items, upstream: 'mock', methods: ['standard'], ...options } });
+  return { status: response.status, body: JSON.parse(response.body) };
+}
+
+test('out-of-range or mistyped temperatures are a bad request', async () => {
+  for (const temperature of [5, -1, 'hot']) {
+    const response = await submit({ temperature });
+    assert.strictEqual(response.status, 400, JSON.stringify(temperature));
+    assert.match(response.body.error, /temperature/);
+  }
+});
+
+test('max_tokens must be a positive integer', async () => {
+  for (const maxTokens of [0, -3, 1.5, 'lots']) {
+    const response = await submit({ max_tokens: maxTokens });
+    assert.strictEqual(response.status, 400, JSON.stringify(maxTokens));
+    assert.match(response.body.error, /max_tokens/);
+  }
+});
+
+test('max_tokens is clamped to the model before the run', async () => {
+  const response = await submit({ temperature: 0.5, max_tokens: 1000000 });
+  assert.strictEqual(response.status, 202);
+  assert.strictEqual(response.body.input.model, defaultModel());
+  assert.strictEqual(response.body.input.max_tokens, getModel(defaultModel()).max_output_tokens);
+  assert.strictEqual(response.body.input.temperature, 0.5);
+});
@@ -0,0 +1,123 @@
+// Streams that stop early (lib/chat-stream.js) still report the usage of the
+// deltas already sent
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEventStream } = require('../lib/sse');
+const { startUpstream, callNode, parseEventStream, chunk } = require('./helpers');
+
+const partialReply = 'The answer is forty-two, as everyone knows';
+
+// The upstream fails after one delta
+function upstreamReply(body, res) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  res.end(chunk({ choices: [{ delta: { content: partialReply } }] })
+    + chunk({ error: { message: 'upstream overloaded' } }));
+}
+
+let upstream;
+let streamChatCompletion;
+
+test.before(async () => {
+  upstream = await startUpstream(upstreamReply);
+  process.env.LOCAL_LLM_BASE_URL = upstream.baseUrl;
+  process.env.RETRY_MAX_RETRIES = '0';
+  process.env.USAGE_STORE = 'memory';
+  ({ streamChatCompletion } = require('../lib/chat-stream'));
+});
+
+test.after(() => upstream.server.close());
+
+// A fetch whose response body yields the given event stream pieces; `onChunk`
+// runs after each one is read
+function fakeFetch(pieces, onChunk = () => {}) {
+  return async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    body: (async function* () {
+      for (const piece of pieces) {
+        yield Buffer.from(piece);
+        onChunk();
+      }
+    })()
+  });
+}
+
+function runStream(fetchImpl, stream) {
+  const calls = { complete: [], incomplete: [] };
+  const done = streamChatCompletion(stream, {
+    fetchImpl,
+    model: 'local/test',
+    fallbackModels: [],
+    requestBody: { messages: [{ role: 'user', content: 'Hi' }], max_tokens: 100 },
+    fitted: { stats: { prompt_tokens_estimate: 7 } },
+    reasoning: { label: 'standard' },
+    wordLimit: null,
+    usageFields: { endpoint: 'test', promptEstimate: 7 },
+    access: { allowed: true, client: { id: 'test', tpm: 1000 } },
+    onComplete: async result => { calls.complete.push(result); },
+    onIncomplete: async result => { calls.incomplete.push(result); }
+  });
+  return done.then(() => calls);
+}
+
+test('an upstream error mid-stream reports estimated usage for the deltas sent', async () => {
+  let sent = '';
+  const stream = createEventStream(text => { sent += text; });
+  const calls = await runStream(fakeFetch([
+    chunk({ choices: [{ delta: { content: partialReply } }] }),
+    chunk({ error: { message: 'upstream overloaded' } })
+  ]), stream);
+
+  assert.strictEqual(calls.complete.length, 0);
+  assert.strictEqual(calls.incomplete.length, 1);
+  const { content, usageEntry } = calls.incomplete[0];
+  assert.strictEqual(content, partialReply);
+  assert.strictEqual(usageEntry.estimated, true);
+  assert.strictEqual(usageEntry.prompt_tokens, 7);
+  assert.ok(usageEntry.completion_tokens > 0);
+  assert.deepStrictEqual(parseEventStream(sent).names, ['context', 'upstream', 'delta', 'error', 'done']);
+});
+
+test('a client disconnect reports estimated usage for the deltas sent', async () => {
+  const stream = createEventStream(() => {});
+  const calls = await runStream(fakeFetch([
+    chunk({ choices: [{ delta: { content: partialReply } }] }),
+    chunk({ choices: [{ delta: { content: ' and more' } }] })
+  ], () => stream.close()), stream);
+
+  assert.strictEqual(calls.complete.length, 0);
+  assert.strictEqual(calls.incomplete.length, 1);
+  assert.strictEqual(calls.incomplete[0].content, partialReply);
+  assert.ok(calls.incomplete[0].usageEntry.completion_tokens > 0);
+});
+
+test('a finished stream reports usage through onComplete only', async () => {
+  const stream = createEventStream(() => {});
+  const calls = await runStream(fakeFetch([
+    chunk({ choices: [{ delta: { content: partialReply } }] }),
+    chunk({ choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 9, completion_tokens: 8 } }),
+    'data: [DONE]\n\n'
+  ]), stream);
+
+  assert.strictEqual(calls.incomplete.length, 0);
+  assert.strictEqual(calls.complete.length, 1);
+  assert.strictEqual(calls.complete[0].usageEntry.total_tokens, 17);
+});
+
+test('api/streaming records usage for a stream that failed mid-way', async () => {
+  const streamingHandler = require('../api/streaming');
+  const { getUsageStore } = require('../lib/usage');
+
+  const response = await callNode(streamingHandler, {
+    body: { model: 'local/test', messages: [{ role: 'user', content: 'Hi' }] },
+    headers: { 'x-forwarded-for': '10.2.0.1' }
+  });
+  assert.deepStrictEqual(parseEventStream(response.body).names, ['context', 'upstream', 'delta', 'error', 'done']);
+
+  const entries = await getUsageStore().list({ client_id: 'ip:10.2.0.1' });
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].endpoint, 'streaming');
+  assert.strictEqual(entries[0].estimated, true);
+  assert.ok(entries[0].completion_tokens > 0);
+});
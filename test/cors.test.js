@@ -0,0 +1,44 @@
+// CORS headers from lib/access.js: * without an allowlist, otherwise the
+// caller's allowed Origin; preflights accept X-API-Key
+const test = require('node:test');
+const assert = require('node:assert');
+const { corsOrigin } = require('../lib/access');
+const { callNode } = require('./helpers');
+const modelsHandler = require('../api/models');
+
+test.afterEach(() => {
+  delete process.env.ACCESS_ALLOWED_ORIGINS;
+});
+
+test('any origin is allowed without an allowlist', () => {
+  assert.strictEqual(corsOrigin({ origin: 'https://example.com' }), '*');
+});
+
+test('an allowed origin is echoed and others get the first allowed origin', () => {
+  process.env.ACCESS_ALLOWED_ORIGINS = 'https://app.example.com,https://admin.example.com';
+  assert.strictEqual(corsOrigin({ origin: 'https://admin.example.com' }), 'https://admin.example.com');
+  assert.strictEqual(corsOrigin({ origin: 'https://evil.example.net' }), 'https://app.example.com');
+  assert.strictEqual(corsOrigin({ origin: 'https://playground.test', host: 'playground.test' }), 'https://playground.test');
+});
+
+test('handlers echo the allowed origin and preflights accept X-API-Key', async () => {
+  process.env.ACCESS_ALLOWED_ORIGINS = 'https://app.example.com';
+  const headers = { origin: 'https://app.example.com' };
+
+  const preflight = await callNode(modelsHandler, { method: 'OPTIONS', headers });
+  assert.strictEqual(preflight.headers['access-control-allow-origin'], 'https://app.example.com');
+  assert.match(preflight.headers['access-control-allow-headers'], /X-API-Key/);
+  assert.strictEqual(preflight.headers.vary, 'Origin');
+
+  const response = await callNode(modelsHandler, { method: 'GET', headers });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers['access-control-allow-origin'], 'https://app.example.com');
+  assert.strictEqual(response.headers.vary, 'Origin');
+});
+
+test('rejected origins do not get their origin echoed', async () => {
+  process.env.ACCESS_ALLOWED_ORIGINS = 'https://app.example.com';
+  const response = await callNode(modelsHandler, { method: 'GET', headers: { origin: 'https://evil.example.net' } });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.headers['access-control-allow-origin'], 'https://app.example.com');
+});
@@ -0,0 +1,93 @@
+// Shared fixtures for the node:test suites (npm test)
+//
+// Handlers read provider base URLs when they are first required, so start
+// the fake upstream and set LOCAL_LLM_BASE_URL before requiring them.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.join(__dirname, '..');
+
+// A local OpenAI-compatible server; `handler(body, res)` answers each chat request
+function startUpstream(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let text = '';
+      req.on('data', chunk => { text += chunk; });
+      req.on('end', () => handler(text ? JSON.parse(text) : {}, res, req));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+    });
+  });
+}
+
+// Calls a Vercel-style Node handler; resolves once the response has ended
+function callNode(handler, { method = 'POST', body = {}, query = {}, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const listeners = {};
+    const req = { method, body, query, headers, url: '/', on: (event, listener) => { listeners[event] = listener; } };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      writableEnded: false,
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+      getHeader(name) { return this.headers[name.toLowerCase()]; },
+      status(code) { this.statusCode = code; return this; },
+      json(data) { chunks.push(JSON.stringify(data)); this.end(); },
+      send(data) { chunks.push(String(data)); this.end(); },
+      write(chunk) { chunks.push(chunk.toString()); return true; },
+      flushHeaders() {},
+      end(chunk) {
+        if (this.writableEnded) return;
+        if (chunk) chunks.push(chunk.toString());
+        this.writableEnded = true;
+        resolve({ status: this.statusCode, headers: this.headers, body: chunks.join(''), disconnect: listeners.close });
+      }
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+// api/streaming-edge.js is an ES module inside a CommonJS package; load a
+// copy whose imports point at lib/ by absolute URL
+async function loadEdgeHandler() {
+  const source = fs.readFileSync(path.join(ROOT, 'api', 'streaming-edge.js'), 'utf8')
+    .replace(/from '\.\.\/lib\/([^']+)'/g, (match, file) => `from '${pathToFileURL(path.join(ROOT, 'lib', file)).href}'`);
+  const copy = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'edge-handler-')), 'streaming-edge.mjs');
+  fs.writeFileSync(copy, source);
+  const { default: handler } = await import(pathToFileURL(copy).href);
+  return handler;
+}
+
+// Splits an event stream into { event, data } messages and heartbeat comments
+function parseEventStream(text) {
+  const events = [];
+  let heartbeats = 0;
+  text.split('\n\n').filter(block => block.trim()).forEach(block => {
+    if (block.startsWith(': heartbeat')) {
+      heartbeats++;
+      return;
+    }
+    const event = (block.match(/^event: (.*)$/m) || [])[1] || 'message';
+    const data = (block.match(/^data: (.*)$/m) || [])[1];
+    events.push({ event, data: data === '[DONE]' ? data : JSON.parse(data) });
+  });
+  return { events, heartbeats, names: events.map(message => message.event) };
+}
+
+// One OpenAI-style stream chunk
+function chunk(payload) {
+  return `data: ${JSON.stringify(payload)}\n\n`;
+}
+
+module.exports = {
+  startUpstream,
+  callNode,
+  loadEdgeHandler,
+  parseEventStream,
+  chunk
+};
@@ -0,0 +1,58 @@
+// Chat handlers turn away malformed messages with a 400 before trimming them
+// to the context window (validateMessages in lib/context.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateMessages } = require('../lib/context');
+const { callNode, loadEdgeHandler } = require('./helpers');
+
+const MALFORMED = [undefined, 'Hello', [], [null], ['Hello'], [{ role: 'user' }], [{ content: 'Hello' }], [{ role: 'user', content: 42 }]];
+
+test('well-formed messages pass', () => {
+  assert.strictEqual(validateMessages([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: [{ type: 'text', text: 'Hello' }] },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'web_search', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: '[]' }
+  ]), null);
+});
+
+test('malformed messages are described by index', () => {
+  assert.match(validateMessages([]), /non-empty array/);
+  assert.match(validateMessages([{ role: 'user', content: 'Hi' }, null]), /messages\[1\]/);
+});
+
+let handlers;
+let edgeHandler;
+
+test.before(async () => {
+  handlers = {
+    proxy: require('../api/proxy'),
+    streaming: require('../api/streaming'),
+    'api-proxy': require('../api/api-proxy')
+  };
+  edgeHandler = await loadEdgeHandler();
+});
+
+for (const name of ['proxy', 'streaming', 'api-proxy']) {
+  test(`${name}: malformed messages are a bad request`, async () => {
+    for (const messages of MALFORMED) {
+      const response = await callNode(handlers[name], { body: { model: 'local/test', messages } });
+      assert.strictEqual(response.status, 400, JSON.stringify(messages));
+      assert.deepStrictEqual(Object.keys(JSON.parse(response.body)), ['error', 'message']);
+      assert.match(JSON.parse(response.body).message, /^messages/);
+    }
+  });
+}
+
+test('streaming-edge: malformed messages are a bad request', async () => {
+  for (const messages of MALFORMED) {
+    const request = new Request('http://localhost/api/streaming-edge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: 'local/test', messages })
+    });
+    const response = await edgeHandler(request, { waitUntil() {} });
+    assert.strictEqual(response.status, 400, JSON.stringify(messages));
+    assert.match((await response.json()).message, /^messages/);
+  }
+});
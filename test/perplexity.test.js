@@ -0,0 +1,42 @@
+// api/perplexity.js checks `messages` like the chat handlers (lib/context.js)
+// and `query` before calling the upstream
+const test = require('node:test');
+const assert = require('node:assert');
+const { callNode } = require('./helpers');
+
+process.env.PERPLEXITY_API_KEY = 'test-key';
+const perplexityHandler = require('../api/perplexity');
+
+async function post(body) {
+  const response = await callNode(perplexityHandler, { body });
+  return { status: response.status, body: JSON.parse(response.body) };
+}
+
+test('malformed messages are a bad request', async () => {
+  for (const messages of [[null], ['Hello'], [{ role: 'user' }], 'Hello', { role: 'user', content: 'Hi' }]) {
+    const response = await post({ messages });
+    assert.strictEqual(response.status, 400, JSON.stringify(messages));
+    assert.strictEqual(response.body.error, 'Bad Request');
+    assert.match(response.body.message, /^messages/);
+  }
+});
+
+test('an empty conversation needs a query', async () => {
+  const response = await post({ messages: [] });
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body.message, /non-empty array/);
+});
+
+test('a query must be a non-empty string', async () => {
+  for (const query of [42, '', '  ', ['Hi']]) {
+    const response = await post({ query });
+    assert.strictEqual(response.status, 400, JSON.stringify(query));
+    assert.match(response.body.message, /query must be a non-empty string/);
+  }
+});
+
+test('a request without query or messages is a bad request', async () => {
+  const response = await post({});
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error, 'Missing required parameter: query or messages');
+});
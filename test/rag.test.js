@@ -0,0 +1,60 @@
+// api/rag.js keeps documents per client: one client cannot list, search or
+// delete what another ingested
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { callNode } = require('./helpers');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-store-'));
+process.env.RAG_STORE_PATH = path.join(storeDir, 'rag-store.json');
+process.env.RAG_EMBEDDINGS_BACKEND = 'local';
+const ragHandler = require('../api/rag');
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+// Each IP is its own client without configured credentials
+function asClient(ip, options) {
+  return callNode(ragHandler, { ...options, headers: { 'x-forwarded-for': ip } });
+}
+
+async function listDocuments(ip) {
+  const response = await asClient(ip, { method: 'GET' });
+  return JSON.parse(response.body);
+}
+
+test('documents are only listed, searched and deleted by the client that ingested them', async () => {
+  const document = { id: 'handbook', title: 'Handbook', content: 'The office opens at nine and closes at five.' };
+  const ingested = await asClient('10.0.0.1', { body: { action: 'ingest', documents: [document] } });
+  assert.strictEqual(ingested.status, 200);
+
+  const owner = await listDocuments('10.0.0.1');
+  assert.deepStrictEqual(owner.documents.map(item => item.id), ['handbook']);
+  assert.strictEqual(owner.documents[0].client_id, undefined);
+  assert.strictEqual(owner.stats.documents, 1);
+
+  const other = await listDocuments('10.0.0.2');
+  assert.deepStrictEqual(other.documents, []);
+  assert.strictEqual(other.stats.chunks, 0);
+
+  const search = await asClient('10.0.0.2', { body: { action: 'search', query: 'When does the office open?' } });
+  assert.deepStrictEqual(JSON.parse(search.body).results, []);
+
+  const deleted = await asClient('10.0.0.2', { body: { action: 'delete', document_id: 'handbook' } });
+  assert.strictEqual(deleted.status, 404);
+
+  const ownSearch = await asClient('10.0.0.1', { body: { action: 'search', query: 'When does the office open?' } });
+  assert.strictEqual(JSON.parse(ownSearch.body).results.length, 1);
+});
+
+test('clients can use the same document id independently', async () => {
+  const document = { id: 'notes', title: 'Notes', content: 'Shared id, separate owners.' };
+  await asClient('10.0.0.3', { body: { action: 'ingest', documents: [document] } });
+  await asClient('10.0.0.4', { body: { action: 'ingest', documents: [document] } });
+
+  const deleted = await asClient('10.0.0.3', { body: { action: 'delete', document_id: 'notes' } });
+  assert.strictEqual(deleted.status, 200);
+  assert.deepStrictEqual((await listDocuments('10.0.0.3')).documents, []);
+  assert.deepStrictEqual((await listDocuments('10.0.0.4')).documents.map(item => item.id), ['notes']);
+});
@@ -0,0 +1,30 @@
+// Custom reasoning templates (lib/reasoning.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateReasoning, applyReasoning } = require('../lib/reasoning');
+
+function systemPrompt(reasoning) {
+  assert.strictEqual(validateReasoning(reasoning), null);
+  return applyReasoning({ messages: [{ role: 'user', content: 'Hi' }], reasoning }).body.messages[0].content;
+}
+
+test('placeholders are filled from the given variables and the word limit', () => {
+  const prompt = systemPrompt({
+    method: 'custom',
+    label: 'Translator',
+    template: 'Answer in {language}, {word_limit} words per step.',
+    variables: { language: 'French' },
+    word_limit: 7
+  });
+  assert.strictEqual(prompt, 'Answer in French, 7 words per step.');
+});
+
+test('placeholders named after inherited properties stay as typed', () => {
+  const prompt = systemPrompt({
+    method: 'custom',
+    label: 'Literal',
+    template: 'Keep {constructor}, {toString} and {hasOwnProperty} but fill {topic}.',
+    variables: { topic: 'maths' }
+  });
+  assert.strictEqual(prompt, 'Keep {constructor}, {toString} and {hasOwnProperty} but fill maths.');
+});
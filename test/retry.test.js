@@ -0,0 +1,73 @@
+// fetchWithFallback (lib/retry.js) with a scripted fetch instead of the network
+const test = require('node:test');
+const assert = require('node:assert');
+const { fetchWithFallback } = require('../lib/retry');
+
+process.env.RETRY_BASE_DELAY_MS = '1';
+process.env.RETRY_MAX_DELAY_MS = '5';
+
+// Each call takes the next step: a status code for a response, or an Error to throw
+function scriptedFetch(steps) {
+  const responses = [];
+  const fetchImpl = async () => {
+    const step = steps.shift();
+    if (step instanceof Error) throw step;
+    const response = {
+      ok: step >= 200 && step < 300,
+      status: step,
+      headers: { get: () => null },
+      cancelled: false,
+      body: { cancel: async () => { response.cancelled = true; } }
+    };
+    responses.push(response);
+    return response;
+  };
+  return { fetchImpl, responses };
+}
+
+function connectionReset() {
+  const error = new Error('socket hang up');
+  error.code = 'ECONNRESET';
+  return error;
+}
+
+const buildRequest = () => ({ url: 'http://upstream.test/v1/chat/completions', options: {} });
+
+test('a retryable status, then a network error on the last attempt, throws the network error', async () => {
+  process.env.RETRY_MAX_RETRIES = '1';
+  const { fetchImpl, responses } = scriptedFetch([503, connectionReset()]);
+
+  await assert.rejects(
+    fetchWithFallback(fetchImpl, { model: 'local/a', fallbackModels: [], buildRequest }),
+    { code: 'ECONNRESET' }
+  );
+  assert.strictEqual(responses[0].cancelled, true);
+});
+
+test('the last failure is returned with its body unread', async () => {
+  process.env.RETRY_MAX_RETRIES = '1';
+  const { fetchImpl, responses } = scriptedFetch([503, 503]);
+
+  const result = await fetchWithFallback(fetchImpl, { model: 'local/a', fallbackModels: [], buildRequest });
+  assert.strictEqual(result.response, responses[1]);
+  assert.strictEqual(responses[0].cancelled, true);
+  assert.strictEqual(responses[1].cancelled, false);
+});
+
+test('failures of earlier models are freed when falling back', async () => {
+  process.env.RETRY_MAX_RETRIES = '0';
+  const { fetchImpl, responses } = scriptedFetch([503, 503, 200]);
+
+  const result = await fetchWithFallback(fetchImpl, { model: 'local/a', fallbackModels: ['local/b', 'local/c'], buildRequest });
+  assert.strictEqual(result.model, 'local/c');
+  assert.deepStrictEqual(responses.map(response => response.cancelled), [true, true, false]);
+});
+
+test('an earlier model\'s failure is kept when the next model only has network errors', async () => {
+  process.env.RETRY_MAX_RETRIES = '0';
+  const { fetchImpl, responses } = scriptedFetch([503, connectionReset()]);
+
+  const result = await fetchWithFallback(fetchImpl, { model: 'local/a', fallbackModels: ['local/b'], buildRequest });
+  assert.strictEqual(result.response, responses[0]);
+  assert.strictEqual(responses[0].cancelled, false);
+});
@@ -0,0 +1,112 @@
+// The Node (api/streaming.js) and Edge (api/streaming-edge.js) handlers must
+// send the same event sequence: one terminator, heartbeats while the upstream
+// is quiet and an error event on failures (see lib/sse.js)
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, callNode, loadEdgeHandler, parseEventStream, chunk } = require('./helpers');
+
+const REPLY = ['Paris ', 'is the capital.'];
+
+// The last user message picks the upstream's behaviour
+function upstreamReply(body, res) {
+  const scenario = body.messages[body.messages.length - 1].content;
+  if (scenario === 'status-error') {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: 'bad request' } }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  if (scenario === 'midstream-error') {
+    res.end(chunk({ choices: [{ delta: { content: REPLY[0] } }] })
+      + chunk({ error: { message: 'upstream overloaded' } })
+      + chunk({ choices: [{ delta: { content: REPLY[1] } }] })
+      + 'data: [DONE]\n\n');
+    return;
+  }
+
+  // Stay quiet long enough for heartbeats before the reply
+  setTimeout(() => {
+    res.end(REPLY.map(content => chunk({ choices: [{ delta: { content } }] })).join('')
+      + chunk({ choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 12, completion_tokens: 6 } })
+      + 'data: [DONE]\n\n');
+  }, 120);
+}
+
+let upstream;
+let nodeHandler;
+let edgeHandler;
+
+test.before(async () => {
+  upstream = await startUpstream(upstreamReply);
+  process.env.LOCAL_LLM_BASE_URL = upstream.baseUrl;
+  process.env.STREAM_HEARTBEAT_MS = '20';
+  process.env.RETRY_MAX_RETRIES = '0';
+  nodeHandler = require('../api/streaming');
+  edgeHandler = await loadEdgeHandler();
+});
+
+test.after(() => upstream.server.close());
+
+function requestBody(question) {
+  return { model: 'local/test', reasoning: { method: 'standard' }, messages: [{ role: 'user', content: question }] };
+}
+
+async function streamNode(question) {
+  const response = await callNode(nodeHandler, { body: requestBody(question) });
+  assert.strictEqual(response.headers['content-type'], 'text/event-stream');
+  return parseEventStream(response.body);
+}
+
+async function streamEdge(question) {
+  const request = new Request('http://localhost/api/streaming-edge', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(requestBody(question))
+  });
+  const response = await edgeHandler(request, { waitUntil() {} });
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+  return parseEventStream(await response.text());
+}
+
+function assertSingleTerminator(stream) {
+  assert.strictEqual(stream.names.filter(name => name === 'done').length, 1);
+  assert.strictEqual(stream.names[stream.names.length - 1], 'done');
+  assert.strictEqual(stream.events[stream.events.length - 1].data, '[DONE]');
+}
+
+for (const [runtime, stream] of [['node', streamNode], ['edge', streamEdge]]) {
+  test(`${runtime}: a reply streams context, upstream, deltas, usage, performance and one done`, async () => {
+    const result = await stream('ok');
+    assert.deepStrictEqual(result.names, ['context', 'upstream', 'delta', 'delta', 'usage', 'performance', 'done']);
+    assert.strictEqual(result.events.filter(message => message.event === 'delta').map(message => message.data.content).join(''), REPLY.join(''));
+    assert.strictEqual(result.events.find(message => message.event === 'usage').data.total_tokens, 18);
+    assertSingleTerminator(result);
+  });
+
+  test(`${runtime}: heartbeats fill the wait for the upstream`, async () => {
+    const result = await stream('ok');
+    assert.ok(result.heartbeats >= 1, `expected heartbeats, got ${result.heartbeats}`);
+  });
+
+  test(`${runtime}: an upstream error mid-stream ends with error and done`, async () => {
+    const result = await stream('midstream-error');
+    assert.deepStrictEqual(result.names, ['context', 'upstream', 'delta', 'error', 'done']);
+    assert.strictEqual(result.events[3].data.message, 'upstream overloaded');
+    assertSingleTerminator(result);
+  });
+
+  test(`${runtime}: an upstream error status ends with error and done`, async () => {
+    const result = await stream('status-error');
+    assert.deepStrictEqual(result.names, ['context', 'error', 'done']);
+    assert.strictEqual(result.events[1].data.status, 400);
+    assertSingleTerminator(result);
+  });
+}
+
+test('node and edge send the same event sequences', async () => {
+  for (const question of ['ok', 'midstream-error', 'status-error']) {
+    const [node, edge] = await Promise.all([streamNode(question), streamEdge(question)]);
+    assert.deepStrictEqual(edge.names, node.names, question);
+  }
+});
@@ -0,0 +1,79 @@
+// Chat handlers accept threadId and user only as thread ids (see
+// lib/conversations/ids.js), and every one of them honours ?reset=true
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, callNode, loadEdgeHandler, chunk } = require('./helpers');
+
+function upstreamReply(body, res) {
+  if (body.stream) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end(chunk({ choices: [{ delta: { content: 'Fresh reply' } }] }) + 'data: [DONE]\n\n');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    model: body.model,
+    choices: [{ message: { role: 'assistant', content: 'Fresh reply' }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 5, completion_tokens: 2 }
+  }));
+}
+
+let upstream;
+let handlers;
+let edgeHandler;
+let conversations;
+
+test.before(async () => {
+  upstream = await startUpstream(upstreamReply);
+  process.env.LOCAL_LLM_BASE_URL = upstream.baseUrl;
+  process.env.RETRY_MAX_RETRIES = '0';
+  process.env.CONVERSATION_STORE = 'memory';
+  handlers = {
+    proxy: require('../api/proxy'),
+    streaming: require('../api/streaming'),
+    'api-proxy': require('../api/api-proxy')
+  };
+  edgeHandler = await loadEdgeHandler();
+  conversations = require('../lib/conversations');
+});
+
+test.after(() => upstream.server.close());
+
+const messages = [{ role: 'user', content: 'Hello' }];
+
+for (const name of ['proxy', 'streaming', 'api-proxy']) {
+  test(`${name}: threadId and user must be thread ids`, async () => {
+    for (const fields of [{ threadId: '../other' }, { threadId: 42 }, { user: { id: 'x' } }, { user: '__proto__' }]) {
+      const response = await callNode(handlers[name], { body: { model: 'local/test', messages, ...fields } });
+      assert.strictEqual(response.status, 400, JSON.stringify(fields));
+      assert.match(JSON.parse(response.body).message, /(threadId|user) must be 1-128 letters/);
+    }
+  });
+}
+
+test('streaming-edge: threadId and user must be thread ids', async () => {
+  for (const fields of [{ threadId: '../other' }, { user: ['x'] }]) {
+    const request = new Request('http://localhost/api/streaming-edge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: 'local/test', messages, ...fields })
+    });
+    const response = await edgeHandler(request, { waitUntil() {} });
+    assert.strictEqual(response.status, 400, JSON.stringify(fields));
+  }
+});
+
+test('api-proxy clears the thread on ?reset=true', async () => {
+  const clientId = 'ip:10.1.0.1';
+  await conversations.recordExchange('reset-me', [{ role: 'user', content: 'Old question' }], 'Old reply', {}, clientId);
+
+  const response = await callNode(handlers['api-proxy'], {
+    body: { model: 'local/test', messages, threadId: 'reset-me' },
+    query: { reset: 'true' },
+    headers: { 'x-forwarded-for': '10.1.0.1' }
+  });
+  assert.strictEqual(response.status, 200);
+
+  const thread = await conversations.getConversationStore().getThread('reset-me');
+  assert.deepStrictEqual(thread.messages.map(message => message.content), ['Hello', 'Fresh reply']);
+});
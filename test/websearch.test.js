@@ -0,0 +1,33 @@
+// api/abacus-websearch.js rejects bad queries and backend names with a 400
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSearchBackend } = require('../lib/websearch');
+const { callNode } = require('./helpers');
+const websearchHandler = require('../api/abacus-websearch');
+
+test('inherited property names are not backends', () => {
+  for (const name of ['constructor', '__proto__', 'toString']) {
+    assert.throws(() => getSearchBackend(name), /Unknown web search backend/);
+  }
+  assert.strictEqual(getSearchBackend('fixture').name, 'fixture');
+});
+
+test('an unknown backend is a bad request', async () => {
+  for (const backend of ['constructor', '__proto__']) {
+    const response = await callNode(websearchHandler, { body: { query: 'llm news', backend } });
+    assert.strictEqual(response.status, 400, backend);
+  }
+});
+
+test('a query that is not a non-empty string is a bad request', async () => {
+  for (const query of [undefined, 42, ['llm'], { text: 'llm' }, '', '   ']) {
+    const response = await callNode(websearchHandler, { body: { query, backend: 'fixture' } });
+    assert.strictEqual(response.status, 400, JSON.stringify(query));
+  }
+});
+
+test('a string query is searched', async () => {
+  const response = await callNode(websearchHandler, { body: { query: 'llm news', backend: 'fixture' } });
+  assert.strictEqual(response.status, 200);
+  assert.ok(Array.isArray(JSON.parse(response.body).results));
+});